@@ -7,14 +7,206 @@
  * - Validate input paths and ensure files exist
  * - Display file metadata (size, modified date, type)
  * - Preview file contents with configurable line count
- * - Support UTF-8 text files and graceful binary detection
+ * - Stream large files instead of loading them into memory
+ * - Show the last lines of a file (--tail) and follow appended output (--follow)
+ * - Line ranges (--from/--to) and regex search with context lines (--grep, -C)
+ * - Detect file types from magic numbers and text encodings (UTF-8/16, Latin-1)
+ * - Graceful binary detection with an --encoding override
+ * - Streamed checksums (--hash) and verification against digests or SHA256SUMS files
+ * - Transparent gzip / deflate / brotli decompression for previews and search
+ * - Syntax-highlighted previews for JSON, JavaScript, Markdown, INI/.env and logs (--highlight)
+ * - Hex dump byte ranges (offset / hex / ASCII columns like xxd)
  * - Helpful usage instructions and exit codes
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const zlib = require('zlib');
+const painter = require('../day-06-colorful-output');
 
-const HELP_TEXT = `\nUsage: node index.js <file-path> [options]\n\nOptions:\n  --lines <number>     Number of preview lines (default: 10)\n  --info               Show only file metadata (no content preview)\n  --json               Output metadata + preview in JSON format\n  --help               Display this help message\n\nExamples:\n  node index.js ./README.md\n  node index.js ./data/sample.txt --lines 5\n  node index.js ./logs/app.log --info\n`;
+// Bytes inspected by detectBinary and read per step when scanning backwards for --tail
+const SAMPLE_SIZE = 8192;
+// Polling interval used by --follow
+const FOLLOW_INTERVAL_MS = 500;
+// Hex dump layout and the default number of bytes shown
+const HEX_BYTES_PER_ROW = 16;
+const HEX_DEFAULT_LENGTH = 256;
+// Exit code for a --verify mismatch, distinct from usage and I/O errors (1)
+const EXIT_VERIFY_FAILED = 2;
+// Exit code when some inputs of a multi-file run were missing (the rest are still reported)
+const EXIT_MISSING_FILES = 3;
+// Digest algorithm implied by the length of a hex digest given to --verify
+const ALGORITHMS_BY_DIGEST_LENGTH = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+// Algorithm tags of BSD-style checksum lines ("SHA256 (file) = ...", as written by `shasum --tag`,
+// `sha256sum --tag` and `b2sum --tag`), mapped to Node's hash names
+const ALGORITHMS_BY_BSD_TAG = {
+  MD5: 'md5',
+  SHA1: 'sha1',
+  'SHA-1': 'sha1',
+  SHA224: 'sha224',
+  'SHA-224': 'sha224',
+  'SHA2-224': 'sha224',
+  SHA256: 'sha256',
+  'SHA-256': 'sha256',
+  'SHA2-256': 'sha256',
+  SHA384: 'sha384',
+  'SHA-384': 'sha384',
+  'SHA2-384': 'sha384',
+  SHA512: 'sha512',
+  'SHA-512': 'sha512',
+  'SHA2-512': 'sha512',
+  'SHA3-224': 'sha3-224',
+  'SHA3-256': 'sha3-256',
+  'SHA3-384': 'sha3-384',
+  'SHA3-512': 'sha3-512',
+  BLAKE2B: 'blake2b512',
+  'BLAKE2B-512': 'blake2b512',
+  BLAKE2S: 'blake2s256',
+  'BLAKE2S-256': 'blake2s256',
+  RMD160: 'ripemd160',
+  RIPEMD160: 'ripemd160'
+};
+
+// Header checks for signatures too short to trust on their own ("BMW ...", "ID3 tags ..." are text)
+const isBmpHeader = (buffer) => {
+  // Reserved fields are zero and the DIB header has one of the known sizes
+  return buffer.length >= 18 && buffer.readUInt32LE(6) === 0 &&
+    [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14));
+};
+
+const isPeHeader = (buffer) => {
+  // e_lfanew points at the "PE\0\0" signature of the Windows executable header
+  if (buffer.length < 0x40) return false;
+  const offset = buffer.readUInt32LE(0x3c);
+  return matchesBytes(buffer, [0x50, 0x45, 0x00, 0x00], offset);
+};
+
+const isId3Header = (buffer) => {
+  // Version 2.2-2.4, no undefined flag bits, and a syncsafe tag size (7 bits per byte)
+  return buffer.length >= 10 && [2, 3, 4].includes(buffer[3]) && buffer[4] !== 0xff &&
+    (buffer[5] & 0x0f) === 0 && [6, 7, 8, 9].every((index) => buffer[index] < 0x80);
+};
+
+const isBzip2Header = (buffer) => {
+  // "BZh" + block size digit + the block magic (BCD digits of pi)
+  return buffer[3] >= 0x31 && buffer[3] <= 0x39 && matchesBytes(buffer, [0x31, 0x41, 0x59, 0x26, 0x53, 0x59], 4);
+};
+
+// Magic numbers for common binary formats, checked against the start of the file
+const MAGIC_SIGNATURES = [
+  { mimeType: 'image/png', description: 'PNG image', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', description: 'JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', description: 'GIF image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', description: 'WebP image', bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { mimeType: 'audio/wav', description: 'WAV audio', bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] } },
+  { mimeType: 'image/bmp', description: 'BMP image', bytes: [0x42, 0x4d], verify: isBmpHeader },
+  { mimeType: 'application/pdf', description: 'PDF document', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'application/zip', description: 'ZIP archive', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/zip', description: 'ZIP archive (empty)', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { mimeType: 'application/gzip', description: 'gzip compressed data', bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-bzip2', description: 'bzip2 compressed data', bytes: [0x42, 0x5a, 0x68], verify: isBzip2Header },
+  { mimeType: 'application/x-xz', description: 'xz compressed data', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { mimeType: 'application/zstd', description: 'Zstandard compressed data', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { mimeType: 'application/x-7z-compressed', description: '7-Zip archive', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/x-rar-compressed', description: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { mimeType: 'application/x-tar', description: 'tar archive', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 },
+  { mimeType: 'application/x-elf', description: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/x-msdownload', description: 'Windows executable', bytes: [0x4d, 0x5a], verify: isPeHeader },
+  { mimeType: 'application/x-mach-binary', description: 'Mach-O executable', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { mimeType: 'application/wasm', description: 'WebAssembly module', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { mimeType: 'application/vnd.sqlite3', description: 'SQLite database', bytes: [...Buffer.from('SQLite format 3\0')] },
+  { mimeType: 'audio/mpeg', description: 'MP3 audio', bytes: [0x49, 0x44, 0x33], verify: isId3Header },
+  { mimeType: 'audio/ogg', description: 'Ogg media', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'audio/flac', description: 'FLAC audio', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mimeType: 'video/mp4', description: 'MP4 video', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 }
+];
+
+// Fallback MIME types for text files, which have no magic number
+const TEXT_MIME_TYPES = {
+  '.json': 'application/json',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.sh': 'application/x-sh'
+};
+
+// Languages understood by --highlight, keyed by (inner) file extension
+const HIGHLIGHT_LANGUAGES = {
+  '.json': 'json',
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'javascript',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.ini': 'ini',
+  '.cfg': 'ini',
+  '.conf': 'ini',
+  '.env': 'ini',
+  '.log': 'log'
+};
+
+// Reusable painter styles for each token kind
+const SYNTAX_STYLES = {
+  key: painter.cyan(),
+  string: painter.green(),
+  number: painter.yellow(),
+  literal: painter.magenta(),
+  keyword: painter.blue().bold(),
+  comment: painter.gray(),
+  punctuation: painter.dim(),
+  heading: painter.cyan().bold(),
+  bullet: painter.yellow(),
+  code: painter.green(),
+  emphasis: painter.bold(),
+  link: painter.blue().underline(),
+  quote: painter.dim().italic(),
+  section: painter.magenta().bold(),
+  timestamp: painter.dim()
+};
+
+// Log levels in the colors the day-09 logger uses (plus TRACE and FATAL)
+const LOG_LEVEL_STYLES = {
+  TRACE: painter.dim(),
+  DEBUG: painter.gray(),
+  INFO: painter.cyan(),
+  WARN: painter.yellow(),
+  WARNING: painter.yellow(),
+  ERROR: painter.red(),
+  FATAL: painter.red().bold()
+};
+
+const JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield';
+
+// Accepted --encoding values mapped to WHATWG TextDecoder labels
+const ENCODINGS = {
+  utf8: 'utf-8',
+  'utf-8': 'utf-8',
+  utf16le: 'utf-16le',
+  'utf-16le': 'utf-16le',
+  ucs2: 'utf-16le',
+  utf16be: 'utf-16be',
+  'utf-16be': 'utf-16be',
+  latin1: 'latin1',
+  'iso-8859-1': 'latin1',
+  ascii: 'utf-8'
+};
+
+const HELP_TEXT = `\nUsage: node index.js <file-path|glob>... [options]\n\nOptions:\n  --lines <number>     Number of preview lines (default: 10)\n  --tail <number>      Show the last <number> lines instead of the first\n  --follow             Keep printing lines appended to the file (like tail -f)\n  --from <line>        First line to show (default: 1)\n  --to <line>          Last line to show (default: --from + --lines - 1)\n  --grep <regex>       Show only lines matching a regular expression\n  -C <number>          Context lines around each --grep match (default: 0)\n  --encoding <name>    Decode as utf8, utf16le, utf16be or latin1 (default: detected)\n  --hash <algorithms>  Compute digests, e.g. sha256,md5,sha1\n  --verify <value>     Compare against a digest ([algorithm:]hex) or a SHA256SUMS-style file\n  --highlight          Syntax-highlight JSON, JS, Markdown, INI/.env and log previews (TTY only)\n  --no-decompress      Treat gzip/deflate/brotli files as raw bytes\n  --hex                Show a hex dump instead of a text preview\n  --hex-binary         Use the hex dump automatically for binary files\n  --offset <bytes>     Start the hex dump at this byte (decimal or 0x hex, default: 0)\n  --length <bytes>     Number of bytes to dump (default: 256)\n  --info               Show only file metadata (no content preview)\n  --json               Output metadata + preview in JSON format\n  --help               Display this help message\n\nExamples:\n  node index.js ./README.md\n  node index.js ./data/sample.txt --lines 5\n  node index.js ./logs/app.log --info\n  node index.js ./logs/app.log --tail 20 --follow\n  node index.js ./config.ini --from 120 --to 140\n  node index.js ./logs/app.log --grep "ERROR|FATAL" -C 2\n  node index.js ./firmware.bin --hex --offset 0x200 --length 64\n  node index.js ./release.tar.gz --info --verify SHA256SUMS\n  node index.js "logs/*.log" README.md --info --json\n`;
 
 const isHelpRequested = () => {
   return process.argv.includes('--help') || process.argv.length <= 2;
@@ -24,9 +216,24 @@ const parseArguments = () => {
   const args = process.argv.slice(2);
   const options = {
     lines: 10,
+    tail: null,
+    follow: false,
+    from: null,
+    to: null,
+    grep: null,
+    context: 0,
+    hex: false,
+    hexBinary: false,
+    encoding: null,
+    hashes: [],
+    verify: null,
+    decompress: true,
+    highlight: false,
+    offset: 0,
+    length: HEX_DEFAULT_LENGTH,
     infoOnly: false,
     json: false,
-    filePath: null
+    filePaths: []
   };
 
   for (let i = 0; i < args.length; i += 1) {
@@ -42,6 +249,120 @@ const parseArguments = () => {
       continue;
     }
 
+    if (arg === '--tail') {
+      const value = Number(args[i + 1]);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error('The --tail option requires a positive integer');
+      }
+      options.tail = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--follow') {
+      options.follow = true;
+      continue;
+    }
+
+    if (arg === '--from' || arg === '--to') {
+      const value = Number(args[i + 1]);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`The ${arg} option requires a positive line number`);
+      }
+      options[arg.slice(2)] = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--grep') {
+      const value = args[i + 1];
+      if (value === undefined) {
+        throw new Error('The --grep option requires a regular expression');
+      }
+      try {
+        options.grep = new RegExp(value, 'g');
+      } catch (error) {
+        throw new Error(`Invalid --grep pattern: ${error.message}`);
+      }
+      i += 1;
+      continue;
+    }
+
+    if (arg === '-C' || arg === '--context') {
+      const value = Number(args[i + 1]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`The ${arg} option requires a non-negative integer`);
+      }
+      options.context = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--hex') {
+      options.hex = true;
+      continue;
+    }
+
+    if (arg === '--hex-binary') {
+      options.hexBinary = true;
+      continue;
+    }
+
+    if (arg === '--encoding') {
+      const value = (args[i + 1] || '').toLowerCase();
+      if (!ENCODINGS[value]) {
+        throw new Error(`The --encoding option requires one of: ${Object.keys(ENCODINGS).join(', ')}`);
+      }
+      options.encoding = ENCODINGS[value];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--hash') {
+      const value = args[i + 1];
+      if (!value || value.startsWith('--')) {
+        throw new Error('The --hash option requires a comma-separated list of algorithms');
+      }
+      const supported = crypto.getHashes();
+      options.hashes = value.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+      const unknown = options.hashes.find((name) => !supported.includes(name));
+      if (unknown) {
+        throw new Error(`Unsupported hash algorithm: ${unknown}`);
+      }
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--verify') {
+      const value = args[i + 1];
+      if (!value || value.startsWith('--')) {
+        throw new Error('The --verify option requires a digest or a checksum file');
+      }
+      options.verify = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--offset' || arg === '--length') {
+      const value = parseByteCount(args[i + 1]);
+      if (value === null || (arg === '--length' && value === 0)) {
+        throw new Error(`The ${arg} option requires a ${arg === '--length' ? 'positive' : 'non-negative'} byte count`);
+      }
+      options[arg.slice(2)] = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--highlight') {
+      options.highlight = true;
+      continue;
+    }
+
+    if (arg === '--no-decompress') {
+      options.decompress = false;
+      continue;
+    }
+
     if (arg === '--info') {
       options.infoOnly = true;
       continue;
@@ -52,20 +373,168 @@ const parseArguments = () => {
       continue;
     }
 
-    if (!options.filePath) {
-      options.filePath = arg;
-    } else {
-      throw new Error(`Unexpected argument: ${arg}`);
+    if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
     }
+
+    options.filePaths.push(arg);
   }
 
-  if (!options.filePath) {
+  if (options.filePaths.length === 0) {
     throw new Error('Missing file path. Use --help for usage information.');
   }
 
+  if (options.follow && (options.filePaths.length > 1 || isGlobPattern(options.filePaths[0]))) {
+    throw new Error('The --follow option accepts a single file');
+  }
+
+  if (options.follow && (options.json || options.infoOnly)) {
+    throw new Error('The --follow option cannot be combined with --json or --info');
+  }
+
+  if (options.hex && (options.tail || options.follow)) {
+    throw new Error('The --hex option cannot be combined with --tail or --follow');
+  }
+
+  if ((options.from || options.to || options.grep) && (options.tail || options.follow || options.hex)) {
+    throw new Error('--from, --to and --grep cannot be combined with --tail, --follow or --hex');
+  }
+
+  if (options.from && options.to && options.to < options.from) {
+    throw new Error('The --to line must not be before the --from line');
+  }
+
+  // Like tail -f, following starts from the last 10 lines unless told otherwise
+  if (options.follow && options.tail === null) {
+    options.tail = 10;
+  }
+
   return options;
 };
 
+const hasGlobMagic = (input) => /[*?[{]/.test(input);
+
+// An existing path is taken literally, so "report[1].txt" opens that file instead of expanding
+const isGlobPattern = (input) => hasGlobMagic(input) && !fs.existsSync(path.resolve(process.cwd(), input));
+
+/**
+ * Convert one path segment of a glob into a RegExp.
+ * Supports *, ?, [...] character classes and {a,b} alternatives.
+ */
+const globSegmentToRegExp = (segment) => {
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < segment.length; i += 1) {
+    const char = segment[i];
+    const close = char === '[' ? segment.indexOf(']', i + 1) : -1;
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (close !== -1) {
+      source += `[${segment.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else if (char === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (char === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Expand a glob into the sorted list of matching files. "**" matches any number
+ * of directories; hidden entries only match segments that start with a dot.
+ */
+const expandGlob = (pattern) => {
+  const absolutePattern = path.resolve(process.cwd(), pattern).split(path.sep).join('/');
+  const segments = absolutePattern.split('/');
+  const firstMagic = segments.findIndex(hasGlobMagic);
+  const base = segments.slice(0, firstMagic).join('/') || '/';
+  const matches = new Set();
+
+  const walk = (dir, index) => {
+    if (index === segments.length) {
+      if (fs.existsSync(dir) && fs.statSync(dir).isFile()) matches.add(path.normalize(dir));
+      return;
+    }
+
+    const segment = segments[index];
+
+    if (!hasGlobMagic(segment)) {
+      walk(path.join(dir, segment), index + 1);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    if (segment === '**') {
+      walk(dir, index + 1);
+      entries
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach((entry) => walk(path.join(dir, entry.name), index));
+      return;
+    }
+
+    const regex = globSegmentToRegExp(segment);
+    entries
+      .filter((entry) => regex.test(entry.name) && (!entry.name.startsWith('.') || segment.startsWith('.')))
+      .forEach((entry) => walk(path.join(dir, entry.name), index + 1));
+  };
+
+  walk(base, firstMagic);
+  return [...matches].sort();
+};
+
+/**
+ * Resolve CLI inputs (paths and globs) to existing files, de-duplicated in input order.
+ */
+const resolveInputs = (inputs) => {
+  const files = new Set();
+  const missing = [];
+
+  inputs.forEach((input) => {
+    if (isGlobPattern(input)) {
+      const matches = expandGlob(input);
+      if (matches.length === 0) missing.push({ input, reason: 'No files match' });
+      matches.forEach((match) => files.add(match));
+      return;
+    }
+
+    const absolutePath = path.resolve(process.cwd(), input);
+    if (!fs.existsSync(absolutePath)) {
+      missing.push({ input, reason: 'File not found' });
+    } else if (!fs.statSync(absolutePath).isFile()) {
+      missing.push({ input, reason: 'Not a file' });
+    } else {
+      files.add(absolutePath);
+    }
+  });
+
+  return { files: [...files], missing };
+};
+
+const parseByteCount = (value) => {
+  if (value === undefined) return null;
+  const number = /^0x[0-9a-f]+$/i.test(value) ? parseInt(value, 16) : Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
 const formatBytes = (bytes) => {
   const units = ['B', 'KB', 'MB', 'GB'];
   let size = bytes;
@@ -79,111 +548,1021 @@ const formatBytes = (bytes) => {
   return `${size.toFixed(2)} ${units[unitIndex]}`;
 };
 
-const detectBinary = (buffer) => {
-  const textChars = buffer.toString('utf8');
+const matchesBytes = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const detectSignature = (buffer) => {
+  return MAGIC_SIGNATURES.find((signature) => {
+    return matchesBytes(buffer, signature.bytes, signature.offset) &&
+      (!signature.extra || matchesBytes(buffer, signature.extra.bytes, signature.extra.offset)) &&
+      (!signature.verify || signature.verify(buffer));
+  }) || null;
+};
+
+/**
+ * The compression a file claims: gzip and zlib-wrapped deflate by their headers,
+ * brotli (which has no magic number) by its .br extension.
+ */
+const sniffCompression = (buffer, extension) => {
+  if (matchesBytes(buffer, [0x1f, 0x8b, 0x08])) return 'gzip';
+  // zlib header: deflate method (CM = 8) and a header checksum divisible by 31
+  if (buffer.length >= 2 && buffer[0] === 0x78 && ((buffer[0] << 8) | buffer[1]) % 31 === 0) return 'deflate';
+  if (extension.toLowerCase() === '.br') return 'brotli';
+  return null;
+};
+
+const TRIAL_DECOMPRESSORS = {
+  gzip: { decompress: zlib.gunzipSync, flush: zlib.constants.Z_SYNC_FLUSH },
+  deflate: { decompress: zlib.inflateSync, flush: zlib.constants.Z_SYNC_FLUSH },
+  brotli: { decompress: zlib.brotliDecompressSync, flush: zlib.constants.BROTLI_OPERATION_FLUSH }
+};
+
+/**
+ * A header (or an extension) is only a claim: text starting with "x " passes the zlib
+ * header check, and any file can be named .br. Decompressing the sample confirms it.
+ * When the sample is only the start of the file, a flush accepts the truncated
+ * stream; when it is the whole file, the stream also has to end properly.
+ */
+const canDecompress = (buffer, compression, complete) => {
+  const { decompress, flush } = TRIAL_DECOMPRESSORS[compression];
+  try {
+    decompress(buffer, complete ? {} : { finishFlush: flush });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Recognise compressed data Node's zlib can read. Returns { compression, unreadable }:
+ * `unreadable` names a claimed compression whose data did not decompress, in which
+ * case the file is shown as it is. `complete` tells whether the buffer holds the whole file.
+ */
+const detectCompression = (buffer, extension, complete = false) => {
+  const claimed = sniffCompression(buffer, extension);
+  if (!claimed) return { compression: null, unreadable: null };
+  return canDecompress(buffer, claimed, complete)
+    ? { compression: claimed, unreadable: null }
+    : { compression: null, unreadable: claimed };
+};
+
+const createDecompressor = (compression) => {
+  switch (compression) {
+    case 'gzip': return zlib.createGunzip();
+    case 'deflate': return zlib.createInflate();
+    case 'brotli': return zlib.createBrotliDecompress();
+    default: throw new Error(`Unsupported compression: ${compression}`);
+  }
+};
+
+/**
+ * Open the file as a stream of (decompressed) content bytes. pipeline() destroys
+ * the file stream when the consumer stops early or decompression fails.
+ */
+const openContentStream = (filePath, compression = null) => {
+  const fileStream = fs.createReadStream(filePath);
+  if (!compression) return fileStream;
+  // Errors still reach the consumer through the decompressor, so the callback has nothing to do
+  return pipeline(fileStream, createDecompressor(compression), () => {});
+};
+
+const readDecompressedSample = async (filePath, compression, size = SAMPLE_SIZE) => {
+  const stream = openContentStream(filePath, compression);
+  const chunks = [];
+  let length = 0;
+
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= size) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  return Buffer.concat(chunks).subarray(0, size);
+};
+
+/**
+ * gzip stores the uncompressed size (modulo 4 GiB) in its last four bytes;
+ * other formats have to be decompressed and counted.
+ */
+const getUncompressedSize = async (filePath, compression, compressedSize) => {
+  if (compression === 'gzip' && compressedSize >= 18) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const trailer = Buffer.alloc(4);
+      fs.readSync(fd, trailer, 0, 4, compressedSize - 4);
+      return trailer.readUInt32LE(0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  let total = 0;
+  for await (const chunk of openContentStream(filePath, compression)) {
+    total += chunk.length;
+  }
+  return total;
+};
+
+/**
+ * Guess the text encoding of a sample: BOMs first, then the zero-byte pattern
+ * of BOM-less UTF-16, then strict UTF-8, then Latin-1. Returns null when the
+ * bytes do not look like text in any supported encoding.
+ */
+const detectEncoding = (buffer) => {
+  if (matchesBytes(buffer, [0xef, 0xbb, 0xbf])) return 'utf-8';
+  if (matchesBytes(buffer, [0xff, 0xfe])) return 'utf-16le';
+  if (matchesBytes(buffer, [0xfe, 0xff])) return 'utf-16be';
+
+  if (buffer.length >= 2) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < buffer.length; i += 1) {
+      if (buffer[i] === 0) {
+        if (i % 2 === 0) evenZeros += 1;
+        else oddZeros += 1;
+      }
+    }
+    const half = buffer.length / 2;
+    // ASCII-range UTF-16 text has a zero in every other byte and almost nowhere else
+    if (oddZeros > half * 0.4 && evenZeros < half * 0.05) return 'utf-16le';
+    if (evenZeros > half * 0.4 && oddZeros < half * 0.05) return 'utf-16be';
+    if (evenZeros + oddZeros > 0) return null;
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return 'latin1';
+  }
+};
+
+const detectBinary = (buffer, encoding = 'utf-8') => {
+  const textChars = new TextDecoder(encoding).decode(buffer, { stream: true });
   const controlChars = textChars.split('').filter((char) => char.charCodeAt(0) < 32 && ![ '\n', '\r', '\t' ].includes(char));
   return controlChars.length > 0;
 };
 
-const readFilePreview = (filePath, lines) => {
-  const content = fs.readFileSync(filePath, 'utf8');
-  return content.split(/\r?\n/).slice(0, lines);
+const readFileSample = (filePath, size = SAMPLE_SIZE) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(size);
+    const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
 };
 
-const main = () => {
-  if (isHelpRequested()) {
-    console.log('📁 File Reader CLI - Day 2');
-    console.log(HELP_TEXT);
-    process.exit(0);
+/**
+ * Classify a file from its first bytes. An explicit encoding skips detection
+ * and forces a text preview.
+ */
+const detectFileType = (sample, extension, forcedEncoding) => {
+  const signature = detectSignature(sample);
+  const encoding = forcedEncoding || (signature ? null : detectEncoding(sample));
+  const isBinary = !forcedEncoding && (!encoding || detectBinary(sample, encoding));
+
+  let mimeType = signature ? signature.mimeType : null;
+  if (!mimeType) {
+    mimeType = isBinary ? 'application/octet-stream' : (TEXT_MIME_TYPES[extension.toLowerCase()] || 'text/plain');
   }
 
-  let options;
+  return {
+    mimeType,
+    description: signature ? signature.description : (isBinary ? 'binary data' : `${encoding} text`),
+    encoding: isBinary ? null : encoding,
+    isBinary
+  };
+};
+
+/**
+ * Hash the file in a single streamed pass, feeding every chunk to each algorithm.
+ */
+const computeHashes = async (filePath, algorithms) => {
+  const hashes = algorithms.map((algorithm) => crypto.createHash(algorithm));
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hashes.forEach((hash) => hash.update(chunk));
+  }
+  return Object.fromEntries(algorithms.map((algorithm, index) => [algorithm, hashes[index].digest('hex')]));
+};
+
+/**
+ * Parse GNU coreutils ("<digest>  <file>", "*" marks binary mode) and
+ * BSD ("SHA256 (<file>) = <digest>") checksum listings. A BSD tag that is not
+ * in ALGORITHMS_BY_BSD_TAG leaves `algorithm` null and is kept in `tag`.
+ */
+const parseChecksumFile = (checksumPath) => {
+  return fs.readFileSync(checksumPath, 'utf8').split(/\r?\n/).reduce((entries, line) => {
+    const bsd = line.match(/^([A-Za-z0-9-]+) \((.+)\) = ([0-9a-fA-F]+)$/);
+    const gnu = line.match(/^([0-9a-fA-F]+) [ *](.+)$/);
+    if (bsd) {
+      entries.push({ algorithm: ALGORITHMS_BY_BSD_TAG[bsd[1].toUpperCase()] || null, tag: bsd[1], fileName: bsd[2], digest: bsd[3].toLowerCase() });
+    } else if (gnu) {
+      entries.push({ algorithm: ALGORITHMS_BY_DIGEST_LENGTH[gnu[1].length], fileName: gnu[2], digest: gnu[1].toLowerCase() });
+    }
+    return entries;
+  }, []);
+};
+
+/**
+ * Turn the --verify value into { algorithm, digest, source }. An existing file is read
+ * as a checksum listing; anything else must be a hex digest, optionally "algorithm:"-prefixed.
+ */
+const resolveExpectedDigest = (value, absolutePath) => {
+  const checksumPath = path.resolve(process.cwd(), value);
+
+  if (fs.existsSync(checksumPath) && fs.statSync(checksumPath).isFile()) {
+    const entries = parseChecksumFile(checksumPath);
+    const exact = entries.find((candidate) => path.resolve(path.dirname(checksumPath), candidate.fileName) === absolutePath);
+    // Fall back to the file name only when it is unique: "a/data.bin" must not be checked against "b/data.bin"
+    const sameName = entries.filter((candidate) => path.basename(candidate.fileName) === path.basename(absolutePath));
+    const entry = exact || (sameName.length === 1 ? sameName[0] : null);
+    if (!entry) {
+      const ambiguity = sameName.length > 1 ? ` (${sameName.length} entries are named like it, none with its path)` : '';
+      throw new Error(`No checksum for ${path.basename(absolutePath)} in ${checksumPath}${ambiguity}`);
+    }
+    if (entry.tag && (!entry.algorithm || !crypto.getHashes().includes(entry.algorithm))) {
+      throw new Error(`Unsupported hash algorithm ${entry.tag} for ${entry.fileName} in ${checksumPath}`);
+    }
+    if (!entry.algorithm || !crypto.getHashes().includes(entry.algorithm)) {
+      throw new Error(`Cannot tell the hash algorithm of the entry for ${entry.fileName} in ${checksumPath}`);
+    }
+    return { algorithm: entry.algorithm, digest: entry.digest, source: checksumPath };
+  }
+
+  const match = value.match(/^(?:([A-Za-z0-9-]+):)?([0-9a-fA-F]+)$/);
+  if (!match) {
+    throw new Error(`--verify expects a hex digest or an existing checksum file: ${value}`);
+  }
+  const algorithm = match[1] ? match[1].toLowerCase() : ALGORITHMS_BY_DIGEST_LENGTH[match[2].length];
+  if (!algorithm || !crypto.getHashes().includes(algorithm)) {
+    throw new Error(`Cannot tell the hash algorithm of digest ${value}; prefix it like sha256:<digest>`);
+  }
+  return { algorithm, digest: match[2].toLowerCase(), source: 'command line' };
+};
+
+/**
+ * Decode a byte stream incrementally so multi-byte characters split across
+ * chunks survive, whatever the encoding. TextDecoder also drops a leading BOM.
+ */
+async function* decodeStream(stream, encoding) {
+  const decoder = new TextDecoder(encoding);
+  for await (const chunk of stream) {
+    yield decoder.decode(chunk, { stream: true });
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Read `length` bytes starting at `offset` and split them into xxd-style rows.
+ * Only the requested range is read from disk.
+ */
+const readHexDump = (filePath, offset, length) => {
+  const fd = fs.openSync(filePath, 'r');
   try {
-    options = parseArguments();
-  } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
-    console.log(HELP_TEXT);
-    process.exit(1);
+    const { size } = fs.fstatSync(fd);
+    if (offset > size) {
+      throw new Error(`Offset ${offset} is beyond the end of the file (${size} bytes)`);
+    }
+
+    const buffer = Buffer.alloc(Math.min(length, size - offset));
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, offset);
+    const rows = [];
+
+    for (let start = 0; start < bytesRead; start += HEX_BYTES_PER_ROW) {
+      const bytes = [...buffer.subarray(start, Math.min(start + HEX_BYTES_PER_ROW, bytesRead))];
+      rows.push({
+        offset: offset + start,
+        hex: bytes.map((byte) => byte.toString(16).padStart(2, '0')).join(' '),
+        ascii: bytes.map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('')
+      });
+    }
+
+    return { offset, length: bytesRead, bytesPerRow: HEX_BYTES_PER_ROW, rows };
+  } finally {
+    fs.closeSync(fd);
   }
+};
 
-  const absolutePath = path.resolve(process.cwd(), options.filePath);
+const formatHexRow = (row) => {
+  // Group bytes in pairs like xxd: "8950 4e47 0d0a ..."
+  const pairs = row.hex.split(' ').reduce((acc, byte, index) => {
+    if (index % 2 === 0) acc.push(byte);
+    else acc[acc.length - 1] += byte;
+    return acc;
+  }, []);
+  const hexWidth = (HEX_BYTES_PER_ROW / 2) * 5 - 1;
+  return `${row.offset.toString(16).padStart(8, '0')}: ${pairs.join(' ').padEnd(hexWidth)}  ${row.ascii}`;
+};
 
-  if (!fs.existsSync(absolutePath)) {
-    console.error(`❌ Error: File not found -> ${absolutePath}`);
-    process.exit(1);
+/**
+ * Yield { lineNumber, line } pairs without loading the whole file. Breaking out
+ * of the loop closes the reader and destroys the underlying stream.
+ */
+async function* readLines(filePath, encoding = 'utf-8', compression = null) {
+  // Destroying the decoded stream returns the generator, which in turn destroys the file stream
+  const input = Readable.from(decodeStream(openContentStream(filePath, compression), encoding));
+  const reader = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  try {
+    for await (const line of reader) {
+      lineNumber += 1;
+      yield { lineNumber, line };
+    }
+  } finally {
+    reader.close();
+    input.destroy();
   }
+}
 
-  if (!fs.statSync(absolutePath).isFile()) {
-    console.error('❌ Error: The provided path is not a file');
-    process.exit(1);
+/**
+ * Read lines `from` through `to` (1-based, inclusive), stopping as soon as `to` is reached.
+ * `totalLines` is only known (otherwise null) when the end of the file came first.
+ */
+const readFilePreview = async (filePath, from, to, encoding = 'utf-8', compression = null) => {
+  const lines = [];
+  let lastLineNumber = 0;
+
+  for await (const { lineNumber, line } of readLines(filePath, encoding, compression)) {
+    lastLineNumber = lineNumber;
+    if (lineNumber >= from) lines.push(line);
+    if (lineNumber >= to) return { lines, totalLines: null };
+  }
+
+  return { lines, totalLines: lastLineNumber };
+};
+
+/**
+ * Stream the file and collect every line matching `regex`, each with up to
+ * `context` lines before and after it. Only the last `context` lines are kept
+ * in memory between matches.
+ */
+const searchFile = async (filePath, regex, { context = 0, from = 1, to = Infinity, encoding = 'utf-8', compression = null } = {}) => {
+  const matches = [];
+  const recent = [];
+  let pendingAfter = [];
+
+  for await (const { lineNumber, line } of readLines(filePath, encoding, compression)) {
+    if (lineNumber < from) continue;
+
+    pendingAfter = pendingAfter.filter((match) => {
+      match.after.push({ lineNumber, line });
+      return match.after.length < context;
+    });
+
+    const submatches = [...line.matchAll(regex)]
+      .filter((found) => found[0].length > 0)
+      .map((found) => ({ start: found.index, end: found.index + found[0].length, text: found[0] }));
+
+    if (submatches.length > 0) {
+      const match = { lineNumber, line, submatches, before: [...recent], after: [] };
+      matches.push(match);
+      if (context > 0) pendingAfter.push(match);
+    }
+
+    if (context > 0) {
+      recent.push({ lineNumber, line });
+      if (recent.length > context) recent.shift();
+    }
+
+    if (lineNumber >= to) break;
+  }
+
+  return matches;
+};
+
+const formatLineNumber = (lineNumber) => String(lineNumber).padStart(3, '0');
+
+const highlightMatches = (line, submatches, enabled) => {
+  if (!enabled) return line;
+  return submatches.reduceRight((text, { start, end }) => {
+    return text.slice(0, start) + painter.red().bold().apply(text.slice(start, end)) + text.slice(end);
+  }, line);
+};
+
+/**
+ * Split a line into styled tokens. Each rule is a sticky regex tried in order at
+ * the current position; text no rule matches is passed through unstyled.
+ */
+const tokenize = (line, rules) => {
+  let result = '';
+  let position = 0;
+
+  while (position < line.length) {
+    let matched = false;
+    for (const { regex, style } of rules) {
+      regex.lastIndex = position;
+      const match = regex.exec(line);
+      if (match && match[0].length > 0) {
+        result += typeof style === 'function' ? style(match) : style.apply(match[0]);
+        position += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      result += line[position];
+      position += 1;
+    }
+  }
+
+  return result;
+};
+
+const JSON_RULES = [
+  { regex: /"(?:[^"\\]|\\.)*"(?=\s*:)/y, style: SYNTAX_STYLES.key },
+  { regex: /"(?:[^"\\]|\\.)*"?/y, style: SYNTAX_STYLES.string },
+  { regex: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, style: SYNTAX_STYLES.number },
+  { regex: /\b(?:true|false|null)\b/y, style: SYNTAX_STYLES.literal },
+  { regex: /[{}[\],:]/y, style: SYNTAX_STYLES.punctuation }
+];
+
+const JS_RULES = [
+  { regex: /\/\/.*/y, style: SYNTAX_STYLES.comment },
+  { regex: /'(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?|`(?:[^`\\]|\\.)*`?/y, style: SYNTAX_STYLES.string },
+  { regex: new RegExp(`\\b(?:${JS_KEYWORDS})\\b`, 'y'), style: SYNTAX_STYLES.keyword },
+  { regex: /\b(?:true|false|null|undefined|NaN|Infinity)\b/y, style: SYNTAX_STYLES.literal },
+  { regex: /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y, style: SYNTAX_STYLES.number },
+  { regex: /[A-Za-z_$][\w$]*/y, style: { apply: (text) => text } }
+];
+
+const MARKDOWN_INLINE_RULES = [
+  { regex: /`[^`]+`/y, style: SYNTAX_STYLES.code },
+  { regex: /(\*\*|__)(?:(?!\1).)+\1/y, style: SYNTAX_STYLES.emphasis },
+  { regex: /!?\[[^\]]*\]\([^)]*\)/y, style: SYNTAX_STYLES.link }
+];
+
+const INI_VALUE_RULES = [
+  // Inline comments need whitespace before them, so "color = #fff" stays a value
+  { regex: /(?<=\s)[;#].*/y, style: SYNTAX_STYLES.comment },
+  { regex: /"(?:[^"\\]|\\.)*"?|'[^']*'?/y, style: SYNTAX_STYLES.string },
+  { regex: /\b(?:true|false|yes|no|on|off)\b/yi, style: SYNTAX_STYLES.literal },
+  { regex: /-?\d+(?:\.\d+)?\b/y, style: SYNTAX_STYLES.number }
+];
+
+const LOG_RULES = [
+  { regex: /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/y, style: SYNTAX_STYLES.timestamp },
+  {
+    regex: new RegExp(`\\b(?:${Object.keys(LOG_LEVEL_STYLES).join('|')})\\b`, 'y'),
+    style: (match) => LOG_LEVEL_STYLES[match[0]].apply(match[0])
+  },
+  { regex: /[A-Za-z_]\w*/y, style: { apply: (text) => text } }
+];
+
+/**
+ * Pick a highlighting language from the file name; .env files are INI-like.
+ */
+const detectLanguage = (fileName, extension) => {
+  if (/^\.env(\..+)?$/.test(fileName)) return 'ini';
+  return HIGHLIGHT_LANGUAGES[extension.toLowerCase()] || null;
+};
+
+/**
+ * Create a line highlighter for `language`. Highlighters are stateful so block
+ * comments and fenced code blocks spanning several lines stay colored.
+ */
+const createHighlighter = (language) => {
+  let inBlockComment = false;
+  let inCodeFence = false;
+
+  switch (language) {
+    case 'json':
+      return (line) => tokenize(line, JSON_RULES);
+
+    case 'javascript': {
+      // Block comments may open mid-line and close lines later
+      const blockComment = {
+        regex: /\/\*(?:(?!\*\/).)*(?:\*\/)?/y,
+        style: (match) => {
+          inBlockComment = !match[0].endsWith('*/') || match[0].length < 4;
+          return SYNTAX_STYLES.comment.apply(match[0]);
+        }
+      };
+      const rules = [blockComment, ...JS_RULES];
+      return (line) => {
+        if (!inBlockComment) return tokenize(line, rules);
+        const end = line.indexOf('*/');
+        if (end === -1) return SYNTAX_STYLES.comment.apply(line);
+        inBlockComment = false;
+        return SYNTAX_STYLES.comment.apply(line.slice(0, end + 2)) + tokenize(line.slice(end + 2), rules);
+      };
+    }
+
+    case 'markdown':
+      return (line) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+          inCodeFence = !inCodeFence;
+          return SYNTAX_STYLES.comment.apply(line);
+        }
+        if (inCodeFence) return SYNTAX_STYLES.code.apply(line);
+        if (/^#{1,6}\s/.test(line)) return SYNTAX_STYLES.heading.apply(line);
+        if (/^\s*>/.test(line)) return SYNTAX_STYLES.quote.apply(line);
+        const bullet = line.match(/^(\s*)([-*+]|\d+[.)])(\s+)/);
+        if (bullet) {
+          const [prefix, indent, marker, space] = bullet;
+          return indent + SYNTAX_STYLES.bullet.apply(marker) + space + tokenize(line.slice(prefix.length), MARKDOWN_INLINE_RULES);
+        }
+        return tokenize(line, MARKDOWN_INLINE_RULES);
+      };
+
+    case 'ini':
+      return (line) => {
+        if (/^\s*[;#]/.test(line)) return SYNTAX_STYLES.comment.apply(line);
+        const section = line.match(/^(\s*\[[^\]]*\]\s*)([;#].*)?$/);
+        if (section) return SYNTAX_STYLES.section.apply(section[1]) + (section[2] ? SYNTAX_STYLES.comment.apply(section[2]) : '');
+        const pair = line.match(/^(\s*(?:export\s+)?)([^=:\s][^=:]*?)(\s*[=:]\s*)(.*)$/);
+        if (!pair) return line;
+        const [, prefix, key, separator, value] = pair;
+        return prefix + SYNTAX_STYLES.key.apply(key) + SYNTAX_STYLES.punctuation.apply(separator) + tokenize(value, INI_VALUE_RULES);
+      };
+
+    case 'log':
+      return (line) => tokenize(line, LOG_RULES);
+
+    default:
+      return (line) => line;
+  }
+};
+
+/**
+ * Print matches grep-style: context lines merged across neighbouring matches,
+ * "--" between non-adjacent groups, ":" after matching line numbers and "-" after context.
+ */
+const printSearchResults = (matches, highlight) => {
+  const display = new Map();
+  matches.forEach((match) => {
+    [...match.before, ...match.after].forEach(({ lineNumber, line }) => {
+      if (!display.has(lineNumber)) display.set(lineNumber, { line, match: null });
+    });
+    display.set(match.lineNumber, { line: match.line, match });
+  });
+
+  let previous = null;
+  [...display.keys()].sort((a, b) => a - b).forEach((lineNumber) => {
+    const { line, match } = display.get(lineNumber);
+    if (previous !== null && lineNumber > previous + 1) console.log('--');
+    if (match) {
+      console.log(`${formatLineNumber(lineNumber)}: ${highlightMatches(line, match.submatches, highlight)}`);
+    } else {
+      console.log(`${formatLineNumber(lineNumber)}- ${line}`);
+    }
+    previous = lineNumber;
+  });
+};
+
+/**
+ * Read the last `lines` lines by scanning backwards from the end of the file
+ * in SAMPLE_SIZE chunks, so only the tail of the file is ever held in memory.
+ */
+const readFileTail = (filePath, lines, encoding = 'utf-8') => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const chunks = [];
+    let position = size;
+    let newlines = 0;
+
+    // A trailing newline terminates the last line rather than starting an empty one
+    while (position > 0 && newlines <= lines) {
+      const length = Math.min(SAMPLE_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      chunks.unshift(chunk);
+      newlines += chunk.reduce((count, byte) => count + (byte === 0x0a ? 1 : 0), 0);
+    }
+
+    const content = new TextDecoder(encoding).decode(Buffer.concat(chunks));
+    const allLines = content.split(/\r?\n/);
+    if (allLines[allLines.length - 1] === '') allLines.pop();
+    return { lines: allLines.slice(-lines), endPosition: size };
+  } finally {
+    fs.closeSync(fd);
   }
+};
+
+/**
+ * Compressed files cannot be read backwards, so stream the decompressed content
+ * and keep only the last `lines` lines.
+ */
+const readCompressedTail = async (filePath, lines, encoding, compression) => {
+  const tail = [];
+  for await (const { line } of readLines(filePath, encoding, compression)) {
+    tail.push(line);
+    if (tail.length > lines) tail.shift();
+  }
+  return tail;
+};
+
+/**
+ * Print lines appended to the file after `startPosition` until interrupted.
+ * Polls the file size; a shrinking file is treated as truncated and re-read from the start.
+ */
+const followFile = (filePath, startPosition, onLine, encoding = 'utf-8') => {
+  let position = startPosition;
+  let pending = '';
+  let decoder = new TextDecoder(encoding);
 
+  const readAppended = (current) => {
+    if (current.size < position) {
+      console.error('⚠️ File truncated, following from the start');
+      position = 0;
+      pending = '';
+      decoder = new TextDecoder(encoding);
+    }
+    if (current.size === position) return;
+
+    const length = current.size - position;
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, position);
+    } finally {
+      fs.closeSync(fd);
+    }
+    position = current.size;
+
+    const parts = (pending + decoder.decode(buffer, { stream: true })).split(/\r?\n/);
+    pending = parts.pop();
+    parts.forEach(onLine);
+  };
+
+  fs.watchFile(filePath, { interval: FOLLOW_INTERVAL_MS }, readAppended);
+
+  process.on('SIGINT', () => {
+    fs.unwatchFile(filePath);
+    if (pending) onLine(pending);
+    process.exit(0);
+  });
+};
+
+/**
+ * Gather metadata, checksums and the requested content view for one file.
+ * Throws on per-file problems (bad --verify entry, --offset past the end, ...).
+ */
+const inspectFile = async (absolutePath, options) => {
   const stats = fs.statSync(absolutePath);
-  const extension = path.extname(absolutePath) || 'N/A';
+  const rawSample = readFileSample(absolutePath);
+  const { compression, unreadable } = options.decompress
+    ? detectCompression(rawSample, path.extname(absolutePath), rawSample.length === stats.size)
+    : { compression: null, unreadable: null };
+  // A zlib header is too weak to mention; a broken .gz or .br is worth a note
+  if (unreadable && unreadable !== 'deflate') {
+    console.error(`⚠️ ${path.basename(absolutePath)} is not valid ${unreadable} data, showing it uncompressed`);
+  }
+  // For "app.log.gz" the content type comes from the decompressed bytes and the inner ".log"
+  const contentExtension = compression
+    ? path.extname(path.basename(absolutePath, path.extname(absolutePath)))
+    : path.extname(absolutePath);
+  const sample = compression ? await readDecompressedSample(absolutePath, compression) : rawSample;
+  const fileType = detectFileType(sample, contentExtension, options.encoding);
+  const language = detectLanguage(path.basename(absolutePath, compression ? path.extname(absolutePath) : ''), contentExtension);
 
   const metadata = {
     name: path.basename(absolutePath),
     path: absolutePath,
     sizeBytes: stats.size,
     sizeHuman: formatBytes(stats.size),
-    extension,
+    extension: path.extname(absolutePath) || 'N/A',
+    mimeType: fileType.mimeType,
+    encoding: fileType.encoding,
     createdAt: stats.birthtime,
     modifiedAt: stats.mtime
   };
 
-  let preview = [];
-  let isBinary = false;
+  if (compression) {
+    metadata.compression = compression;
+    metadata.compressedSizeBytes = stats.size;
+    metadata.uncompressedSizeBytes = await getUncompressedSize(absolutePath, compression, stats.size);
+  }
+
+  const report = {
+    metadata,
+    fileType,
+    isBinary: fileType.isBinary,
+    verification: null,
+    preview: [],
+    hexDump: null,
+    matches: null,
+    compression,
+    language,
+    firstLine: options.from || 1,
+    lastLine: null,
+    totalLines: null,
+    endPosition: stats.size
+  };
+
+  const expected = options.verify ? resolveExpectedDigest(options.verify, absolutePath) : null;
+  const algorithms = [...new Set([...options.hashes, ...(expected ? [expected.algorithm] : [])])];
 
-  if (!options.infoOnly) {
-    const buffer = fs.readFileSync(absolutePath);
-    isBinary = detectBinary(buffer);
+  if (algorithms.length > 0) {
+    metadata.hashes = await computeHashes(absolutePath, algorithms);
+  }
 
-    if (isBinary) {
-      preview = ['(Binary file preview skipped)'];
-    } else {
-      preview = readFilePreview(absolutePath, options.lines);
-    }
+  if (expected) {
+    const actual = metadata.hashes[expected.algorithm];
+    report.verification = { ...expected, actual, match: actual === expected.digest };
   }
 
-  if (options.json) {
-    console.log(JSON.stringify({ metadata, preview, isBinary }, null, 2));
-    process.exit(0);
+  if (options.infoOnly) return report;
+
+  const { isBinary, encoding } = fileType;
+  const lastLine = options.to || (options.grep ? Infinity : report.firstLine + options.lines - 1);
+  report.lastLine = lastLine;
+
+  if (options.hex || (isBinary && options.hexBinary)) {
+    report.hexDump = readHexDump(absolutePath, options.offset, options.length);
+  } else if (isBinary) {
+    report.preview = ['(Binary file preview skipped)'];
+  } else if (options.tail && compression) {
+    report.preview = await readCompressedTail(absolutePath, options.tail, encoding, compression);
+  } else if (options.tail) {
+    ({ lines: report.preview, endPosition: report.endPosition } = readFileTail(absolutePath, options.tail, encoding));
+  } else if (options.grep) {
+    report.matches = await searchFile(absolutePath, options.grep, { context: options.context, from: report.firstLine, to: lastLine, encoding, compression });
+  } else {
+    ({ lines: report.preview, totalLines: report.totalLines } = await readFilePreview(absolutePath, report.firstLine, lastLine, encoding, compression));
   }
 
-  console.log('📁 File Reader CLI - Day 2');
-  console.log('='.repeat(32));
+  return report;
+};
+
+const toJsonResult = (report, options) => {
+  const { metadata, isBinary, preview, hexDump, matches, firstLine, verification } = report;
+  let result;
+
+  if (hexDump) {
+    result = { metadata, isBinary, mode: 'hex', hexDump };
+  } else if (matches) {
+    result = { metadata, isBinary, mode: 'grep', pattern: options.grep.source, matchCount: matches.length, matches };
+  } else if (options.tail) {
+    result = { metadata, preview, isBinary, mode: 'tail' };
+  } else {
+    result = { metadata, preview, isBinary, mode: options.from || options.to ? 'range' : 'head', firstLine };
+  }
+
+  if (verification) result.verification = verification;
+  return result;
+};
+
+/**
+ * Colors are only worth emitting to a terminal; piped output stays plain.
+ */
+const shouldHighlight = (options) => options.highlight && !options.json && Boolean(process.stdout.isTTY);
+
+const printReport = (report, options) => {
+  const { metadata, fileType, isBinary, preview, hexDump, matches, firstLine, lastLine, totalLines, verification } = report;
+  const highlight = shouldHighlight(options) && report.language ? createHighlighter(report.language) : (line) => line;
+
   console.log(`File: ${metadata.name}`);
   console.log(`Path: ${metadata.path}`);
   console.log(`Size: ${metadata.sizeHuman} (${metadata.sizeBytes} bytes)`);
+  if (metadata.compression) {
+    const ratio = metadata.uncompressedSizeBytes > 0
+      ? ` (${((metadata.compressedSizeBytes / metadata.uncompressedSizeBytes) * 100).toFixed(1)}% of original)`
+      : '';
+    console.log(`Compression: ${metadata.compression}${ratio}`);
+    console.log(`Uncompressed Size: ${formatBytes(metadata.uncompressedSizeBytes)} (${metadata.uncompressedSizeBytes} bytes)`);
+  }
   console.log(`Extension: ${metadata.extension}`);
+  console.log(`Type: ${metadata.mimeType} (${fileType.description})`);
+  console.log(`Encoding: ${metadata.encoding || 'N/A (binary)'}`);
   console.log(`Created: ${metadata.createdAt}`);
   console.log(`Modified: ${metadata.modifiedAt}`);
 
-  if (options.infoOnly) {
-    process.exit(0);
+  if (metadata.hashes) {
+    console.log('\n🔐 Checksums:');
+    console.log('-'.repeat(32));
+    Object.entries(metadata.hashes).forEach(([algorithm, digest]) => {
+      console.log(`${algorithm.toUpperCase()}: ${digest}`);
+    });
+  }
+
+  if (verification) {
+    const label = `${verification.algorithm.toUpperCase()} (${verification.source})`;
+    if (verification.match) {
+      console.log(`✅ Verified: ${label}`);
+    } else {
+      console.error(`❌ Checksum mismatch: ${label}`);
+      console.error(`   expected ${verification.digest}`);
+      console.error(`   actual   ${verification.actual}`);
+    }
+  }
+
+  if (options.infoOnly) return;
+
+  if (hexDump) {
+    const end = hexDump.offset + hexDump.length;
+    console.log(`\n🔢 Hex Dump (${hexDump.length} bytes from offset ${hexDump.offset}):`);
+    console.log('-'.repeat(32));
+    if (hexDump.rows.length === 0) {
+      console.log('(No bytes in range)');
+    } else {
+      hexDump.rows.forEach((row) => console.log(formatHexRow(row)));
+    }
+    if (end < metadata.sizeBytes) {
+      console.log(`... ${metadata.sizeBytes - end} more bytes (use --offset ${end})`);
+    }
+    return;
+  }
+
+  if (matches) {
+    console.log(`\n🔍 Matches for /${options.grep.source}/ (${matches.length}):`);
+    console.log('-'.repeat(32));
+    if (matches.length === 0) {
+      console.log('(No matching lines)');
+    } else {
+      printSearchResults(matches, process.stdout.isTTY);
+    }
+    return;
+  }
+
+  if ((options.from || options.to) && !isBinary && preview.length === 0 && totalLines !== null && totalLines < firstLine) {
+    // --from past the end of the file: there is no range to show a heading for
+    console.log(`\n(No lines in range ${firstLine}-${lastLine}; file has ${totalLines} ${totalLines === 1 ? 'line' : 'lines'})`);
+    return;
   }
 
-  console.log('\n📄 Preview:');
+  if (options.tail) {
+    console.log(`\n📄 Last ${options.tail} lines:`);
+  } else if (options.from || options.to) {
+    console.log(`\n📄 Lines ${firstLine}-${firstLine + Math.max(preview.length - 1, 0)}:`);
+  } else {
+    console.log('\n📄 Preview:');
+  }
   console.log('-'.repeat(32));
 
   if (isBinary) {
-    console.log('(Binary file preview skipped)');
+    console.log('(Binary file preview skipped, use --hex to dump its bytes)');
   } else if (preview.length === 0) {
     console.log('(File is empty)');
+  } else if (options.tail) {
+    // Line numbers are unknown without reading the whole file, so tail output is unnumbered
+    preview.forEach((line) => console.log(highlight(line)));
   } else {
     preview.forEach((line, index) => {
-      const lineNumber = String(index + 1).padStart(3, '0');
-      console.log(`${lineNumber}: ${line}`);
+      console.log(`${formatLineNumber(firstLine + index)}: ${highlight(line)}`);
     });
   }
+};
 
+const printTips = () => {
   console.log('\n✨ Tips:');
   console.log('-'.repeat(32));
   console.log('Use --lines <number> to adjust preview length');
+  console.log('Use --tail <number> --follow to watch a growing log');
+  console.log('Use --from/--to for line ranges and --grep <regex> -C <n> to search');
   console.log('Use --info for metadata only');
   console.log('Use --json for machine-readable output');
+};
+
+/**
+ * Single-file mode keeps the original behaviour: one JSON object, exit 1 on any error.
+ */
+const runSingle = async (absolutePath, options) => {
+  if (!fs.existsSync(absolutePath)) {
+    console.error(`❌ Error: File not found -> ${absolutePath}`);
+    process.exit(1);
+  }
+
+  if (!fs.statSync(absolutePath).isFile()) {
+    console.error('❌ Error: The provided path is not a file');
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = await inspectFile(absolutePath, options);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const exitCode = report.verification && !report.verification.match ? EXIT_VERIFY_FAILED : 0;
+
+  if (options.json) {
+    console.log(JSON.stringify(toJsonResult(report, options), null, 2));
+    process.exit(exitCode);
+  }
+
+  console.log('📁 File Reader CLI - Day 2');
+  console.log('='.repeat(32));
+  printReport(report, options);
+
+  if (options.follow) {
+    if (report.isBinary || report.compression) {
+      console.error(`❌ Error: Cannot follow a ${report.compression ? 'compressed' : 'binary'} file`);
+      process.exit(1);
+    }
+    console.log('-'.repeat(32));
+    console.log('👀 Following appended lines (Ctrl+C to stop)');
+    const highlight = shouldHighlight(options) && report.language ? createHighlighter(report.language) : (line) => line;
+    followFile(absolutePath, report.endPosition, (line) => console.log(highlight(line)), report.fileType.encoding);
+    return;
+  }
+
+  if (!options.infoOnly && !report.hexDump && !report.matches) {
+    printTips();
+  }
+
+  process.exit(exitCode);
+};
+
+/**
+ * Multi-file mode: one block per file, then a summary. Missing inputs and
+ * per-file errors are reported without stopping the rest of the run.
+ */
+const runMultiple = async (inputs, options) => {
+  const { files, missing } = resolveInputs(inputs);
+  const reports = [];
+  const failed = [];
+
+  for (const absolutePath of files) {
+    try {
+      reports.push(await inspectFile(absolutePath, options));
+    } catch (error) {
+      failed.push({ path: absolutePath, error: error.message });
+    }
+  }
+
+  const summary = {
+    totalFiles: reports.length,
+    totalSizeBytes: reports.reduce((sum, report) => sum + report.metadata.sizeBytes, 0),
+    binaryCount: reports.filter((report) => report.isBinary).length,
+    missingCount: missing.length,
+    failedCount: failed.length,
+    verifyFailedCount: reports.filter((report) => report.verification && !report.verification.match).length
+  };
+  summary.totalSizeHuman = formatBytes(summary.totalSizeBytes);
+
+  let exitCode = 0;
+  if (missing.length > 0) exitCode = EXIT_MISSING_FILES;
+  else if (failed.length > 0) exitCode = 1;
+  else if (summary.verifyFailedCount > 0) exitCode = EXIT_VERIFY_FAILED;
+
+  if (options.json) {
+    const files = reports.map((report) => toJsonResult(report, options));
+    console.log(JSON.stringify({ files, missing, failed, summary }, null, 2));
+    process.exit(exitCode);
+  }
+
+  console.log('📁 File Reader CLI - Day 2');
+  reports.forEach((report, index) => {
+    console.log('='.repeat(32));
+    console.log(`[${index + 1}/${reports.length}]`);
+    printReport(report, options);
+    console.log('');
+  });
+
+  missing.forEach(({ input, reason }) => console.error(`❌ Error: ${reason} -> ${input}`));
+  failed.forEach(({ path: filePath, error }) => console.error(`❌ Error: ${filePath}: ${error}`));
 
-  process.exit(0);
+  console.log('\n📦 Summary:');
+  console.log('-'.repeat(32));
+  console.log(`Files: ${summary.totalFiles}`);
+  console.log(`Total Size: ${summary.totalSizeHuman} (${summary.totalSizeBytes} bytes)`);
+  console.log(`Binary Files: ${summary.binaryCount}`);
+  if (summary.missingCount > 0) console.log(`Missing: ${summary.missingCount}`);
+  if (summary.failedCount > 0) console.log(`Failed: ${summary.failedCount}`);
+  if (summary.verifyFailedCount > 0) console.log(`Checksum Mismatches: ${summary.verifyFailedCount}`);
+
+  process.exit(exitCode);
+};
+
+const main = async () => {
+  if (isHelpRequested()) {
+    console.log('📁 File Reader CLI - Day 2');
+    console.log(HELP_TEXT);
+    process.exit(0);
+  }
+
+  let options;
+  try {
+    options = parseArguments();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.log(HELP_TEXT);
+    process.exit(1);
+  }
+
+  const { filePaths } = options;
+  if (filePaths.length === 1 && !isGlobPattern(filePaths[0])) {
+    await runSingle(path.resolve(process.cwd(), filePaths[0]), options);
+  } else {
+    await runMultiple(filePaths, options);
+  }
 };
 
-main();
+main().catch((error) => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { run, withTempFile } = require('./helpers');
+
+const CONTENT = 'release artifact\n';
+const digest = (algorithm) => crypto.createHash(algorithm).update(CONTENT).digest('hex');
+
+const verifyWith = (listing, callback) => {
+  withTempFile('app.tar', CONTENT, (filePath, dir) => {
+    const checksumPath = path.join(dir, 'CHECKSUMS');
+    fs.writeFileSync(checksumPath, listing);
+    callback(run(filePath, '--verify', checksumPath, '--info'));
+  });
+};
+
+test('BSD checksum tags map to their algorithms, with or without a dash', () => {
+  [
+    ['SHA256', 'sha256'],
+    ['SHA-256', 'sha256'],
+    ['SHA512', 'sha512'],
+    ['SHA3-256', 'sha3-256'],
+    ['BLAKE2b', 'blake2b512'],
+    ['MD5', 'md5']
+  ].forEach(([tag, algorithm]) => {
+    verifyWith(`${tag} (app.tar) = ${digest(algorithm)}\n`, (result) => {
+      assert.strictEqual(result.status, 0, `${tag}: ${result.stderr}`);
+      assert.match(result.stdout, new RegExp(`✅ Verified: ${algorithm.toUpperCase()}`));
+    });
+  });
+});
+
+test('an unknown BSD checksum tag is reported as unsupported', () => {
+  verifyWith(`SHA-3 (app.tar) = ${digest('sha3-256')}\n`, (result) => {
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Unsupported hash algorithm SHA-3 for app\.tar/);
+  });
+});
+
+test('a GNU checksum line is verified by the length of its digest', () => {
+  verifyWith(`${digest('sha1')}  app.tar\n`, (result) => {
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /✅ Verified: SHA1/);
+  });
+});
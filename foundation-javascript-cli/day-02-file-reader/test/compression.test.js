@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { run, withTempFile } = require('./helpers');
+
+test('plain text starting with "x " is not mistaken for deflate', () => {
+  // "x " (0x78 0x20) passes the zlib header checksum
+  withTempFile('f.txt', 'x = 1\n', (filePath) => {
+    const preview = run(filePath);
+    assert.strictEqual(preview.status, 0, preview.stderr);
+    assert.match(preview.stdout, /x = 1/);
+
+    const info = run(filePath, '--info');
+    assert.strictEqual(info.status, 0, info.stderr);
+    assert.doesNotMatch(info.stdout, /Compression:/);
+  });
+});
+
+test('zlib-wrapped deflate data is still decompressed', () => {
+  withTempFile('notes.txt.zz', zlib.deflateSync('hello from deflate\n'), (filePath) => {
+    const result = run(filePath, '--info');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Compression: deflate/);
+  });
+});
+
+test('gzip and brotli files are decompressed for the preview', () => {
+  withTempFile('app.log.gz', zlib.gzipSync('gzip line\n'), (filePath) => {
+    const result = run(filePath);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /001: gzip line/);
+  });
+  withTempFile('notes.txt.br', zlib.brotliCompressSync('brotli line\n'), (filePath) => {
+    const result = run(filePath);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /001: brotli line/);
+  });
+});
+
+test('a plain-text file named .br is previewed as text with a warning', () => {
+  withTempFile('x.br', 'plain text\n', (filePath) => {
+    const result = run(filePath);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /001: plain text/);
+    assert.match(result.stderr, /not valid brotli data/);
+  });
+});
+
+test('a truncated .gz is shown as raw gzip data instead of aborting', () => {
+  const truncated = zlib.gzipSync('hello world\n'.repeat(20)).subarray(0, 20);
+  withTempFile('broken.gz', truncated, (filePath) => {
+    const result = run(filePath, '--info');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Type: application\/gzip/);
+    assert.doesNotMatch(result.stdout, /Compression:/);
+    assert.match(result.stderr, /not valid gzip data/);
+  });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withTempFile, readJson } = require('./helpers');
+
+// Minimal BMP: file header + 40-byte BITMAPINFOHEADER for a 1x1 24-bit image
+const createBmp = () => {
+  const buffer = Buffer.alloc(58);
+  buffer.write('BM', 0, 'latin1');
+  buffer.writeUInt32LE(58, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(1, 18);
+  buffer.writeInt32LE(1, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  return buffer;
+};
+
+// ID3v2.4 tag header followed by padding and an MPEG frame sync
+const createMp3 = () => Buffer.concat([
+  Buffer.from([0x49, 0x44, 0x33, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10]),
+  Buffer.alloc(16),
+  Buffer.from([0xff, 0xfb, 0x90, 0x00]),
+  Buffer.alloc(64)
+]);
+
+const assertText = (name, content) => {
+  withTempFile(name, content, (filePath) => {
+    const report = readJson(filePath);
+    assert.strictEqual(report.isBinary, false);
+    assert.strictEqual(report.metadata.mimeType, 'text/plain');
+    assert.strictEqual(report.preview[0], content.split('\n')[0]);
+  });
+};
+
+test('text starting with "BM" is not a BMP image', () => {
+  assertText('bmw.txt', 'BMW service notes\nOil change at 10k\n');
+});
+
+test('text starting with "ID3" is not MP3 audio', () => {
+  assertText('id3.txt', 'ID3 tags explained\n');
+});
+
+test('text starting with "MZ" is not a Windows executable', () => {
+  assertText('mz.txt', 'MZ cars list\n');
+});
+
+test('real BMP and MP3 headers are still recognised', () => {
+  withTempFile('image.bmp', createBmp(), (filePath) => {
+    assert.strictEqual(readJson(filePath).metadata.mimeType, 'image/bmp');
+  });
+  withTempFile('song.mp3', createMp3(), (filePath) => {
+    assert.strictEqual(readJson(filePath).metadata.mimeType, 'audio/mpeg');
+  });
+});
@@ -0,0 +1,37 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+/**
+ * Run the CLI with the given arguments and return spawnSync's result (status, stdout, stderr).
+ */
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+/**
+ * Write `content` to a file in a fresh temporary directory, call back with its path, then clean up.
+ */
+const withTempFile = (name, content, callback) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-reader-'));
+  const filePath = path.join(dir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  try {
+    callback(filePath, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * The --json report for one file.
+ */
+const readJson = (filePath, ...args) => {
+  const result = run(filePath, '--json', ...args);
+  if (result.status !== 0) throw new Error(`CLI exited with ${result.status}: ${result.stderr}`);
+  return JSON.parse(result.stdout);
+};
+
+module.exports = { run, withTempFile, readJson };
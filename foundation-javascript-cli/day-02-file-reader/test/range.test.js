@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, withTempFile } = require('./helpers');
+
+test('--from/--to print the requested lines under a range heading', () => {
+  withTempFile('notes.txt', 'a\nb\nc\n', (filePath) => {
+    const result = run(filePath, '--from', '2', '--to', '9');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /📄 Lines 2-3:/);
+    assert.match(result.stdout, /002: b\n003: c\n/);
+  });
+});
+
+test('--from past the end of the file reports the line count instead of an empty range', () => {
+  withTempFile('notes.txt', 'a\nb\nc\n', (filePath) => {
+    const result = run(filePath, '--from', '10');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /\(No lines in range 10-19; file has 3 lines\)/);
+    assert.doesNotMatch(result.stdout, /📄 Lines|File is empty/);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Canonical JSON output for the JSON processor (--canonical)
+ *
+ * The same data always produces the same bytes, so the output can be diffed
+ * and hashed. This follows RFC 8785 (JSON Canonicalization Scheme):
+ * - object keys are sorted recursively by UTF-16 code units
+ * - numbers use the shortest form that round-trips (1.0 -> 1, 1e2 -> 100, -0 -> 0)
+ * - strings use the minimal JSON escaping
+ * An indent can still be given for readable output; without one the result is exact JCS.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Serialize like JSON.stringify(value, null, indent), but with sorted keys.
+ * Plain property order cannot be used: JavaScript always puts integer-like keys first.
+ */
+const stringifyCanonical = (value, indent = '') => {
+  const unit = typeof indent === 'number' ? ' '.repeat(indent) : indent || '';
+
+  const write = (current, depth) => {
+    if (Array.isArray(current) || isObject(current)) {
+      const entries = Array.isArray(current)
+        ? current.map((item) => [null, item])
+        : Object.keys(current).sort().map((key) => [key, current[key]]);
+      if (entries.length === 0) return Array.isArray(current) ? '[]' : '{}';
+
+      const inner = unit ? `\n${unit.repeat(depth + 1)}` : '';
+      const outer = unit ? `\n${unit.repeat(depth)}` : '';
+      const separator = unit ? ': ' : ':';
+      const items = entries.map(([key, item]) => `${key === null ? '' : `${JSON.stringify(key)}${separator}`}${write(item, depth + 1)}`);
+      const [open, close] = Array.isArray(current) ? ['[', ']'] : ['{', '}'];
+      return `${open}${inner}${items.join(`,${inner}`)}${outer}${close}`;
+    }
+    // JSON.stringify already prints numbers in the ECMAScript shortest round-trip form
+    return JSON.stringify(current);
+  };
+
+  return write(value, 0);
+};
+
+module.exports = { stringifyCanonical };
@@ -0,0 +1,251 @@
+/**
+ * CSV conversion for the JSON processor (--to csv / --from csv)
+ *
+ * - Each object in an array becomes one row. Nested values flatten into dotted
+ *   column names (address.city, tags.0), and importing rebuilds the nesting
+ * - RFC 4180 quoting: fields containing commas, quotes or line breaks are quoted
+ * - Unquoted cells are typed on import (numbers, true/false, null, {} and []),
+ *   quoted cells are always strings, and an empty unquoted cell means "no value".
+ *   Strings such as "42" or "" are therefore quoted on export so they round-trip
+ */
+
+const { formatPath } = require('./query');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Type an unquoted cell. Returns undefined for an empty cell (no value).
+ * Numbers are only typed when they print back identically ("1.10" stays a string).
+ */
+const parseCell = (text) => {
+  if (text === '') return undefined;
+  if (text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === '{}') return {};
+  if (text === '[]') return [];
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text) && String(Number(text)) === text) return Number(text);
+  return text;
+};
+
+const formatCell = (value) => {
+  if (isContainer(value)) return Array.isArray(value) ? '[]' : '{}';
+  if (typeof value !== 'string') return String(value);
+  const needsQuotes = /[",\r\n]/.test(value) || value !== value.trim() || parseCell(value) !== value;
+  return needsQuotes ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/**
+ * Flatten one record into a Map of dotted column name -> cell text.
+ */
+const flattenRecord = (record, rowIndex) => {
+  const cells = new Map();
+
+  const visit = (value, segments) => {
+    const entries = Array.isArray(value) ? value.map((item, index) => [String(index), item]) : Object.entries(value);
+    // Empty containers are written as {} / [] so they are not lost
+    if (entries.length === 0 && segments.length > 0) {
+      cells.set(segments.join('.'), formatCell(value));
+      return;
+    }
+
+    entries.forEach(([key, child]) => {
+      if (key === '' || key.includes('.')) {
+        throw new Error(`Cannot convert to CSV: key ${JSON.stringify(key)} at ${formatPath([rowIndex, ...segments])} cannot be part of a dotted column name`);
+      }
+      if (isContainer(child)) {
+        visit(child, [...segments, key]);
+      } else {
+        cells.set([...segments, key].join('.'), formatCell(child));
+      }
+    });
+  };
+
+  visit(record, []);
+  return cells;
+};
+
+/**
+ * Convert an array of objects (or a single object) to CSV text.
+ */
+const toCsv = (data) => {
+  const records = Array.isArray(data) ? data : [data];
+  records.forEach((record, index) => {
+    if (!isObject(record)) {
+      const where = Array.isArray(data) ? `item ${index} is` : 'the document is';
+      throw new Error(`Cannot convert to CSV: expected an array of objects, but ${where} ${record === null ? 'null' : Array.isArray(record) ? 'an array' : `a ${typeof record}`}`);
+    }
+  });
+
+  const rows = records.map((record, index) => flattenRecord(record, index));
+  const columns = [];
+  const seen = new Set();
+  rows.forEach((cells) => cells.forEach((_, column) => {
+    if (!seen.has(column)) {
+      seen.add(column);
+      columns.push(column);
+    }
+  }));
+
+  const lines = [
+    columns.map((column) => formatCell(column)).join(','),
+    ...rows.map((cells) => columns.map((column) => (cells.has(column) ? cells.get(column) : '')).join(','))
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Split CSV text into rows of { value, quoted } fields, each row tagged with its line number.
+ */
+const parseCsvRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let line = 1;
+  let rowLine = 1;
+  let i = 0;
+
+  const endRow = () => {
+    // A completely empty line is not a row
+    if (!(row.length === 1 && row[0].value === '' && !row[0].quoted)) rows.push({ line: rowLine, fields: row });
+    row = [];
+  };
+
+  while (i <= input.length) {
+    if (i === input.length) {
+      if (row.length > 0) endRow();
+      break;
+    }
+
+    let value = '';
+    let quoted = false;
+
+    if (input[i] === '"') {
+      quoted = true;
+      const startLine = line;
+      i += 1;
+      for (;;) {
+        if (i >= input.length) throw new Error(`CSV line ${startLine}: unterminated quoted field`);
+        if (input[i] === '"') {
+          if (input[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          i += 1;
+          break;
+        }
+        if (input[i] === '\n') line += 1;
+        value += input[i];
+        i += 1;
+      }
+      if (i < input.length && !/[,\r\n]/.test(input[i])) {
+        throw new Error(`CSV line ${line}: unexpected ${JSON.stringify(input[i])} after a closing quote`);
+      }
+    } else {
+      const start = i;
+      while (i < input.length && !/[,\r\n]/.test(input[i])) {
+        if (input[i] === '"') throw new Error(`CSV line ${line}: quote inside an unquoted field (quote the whole field and double the quote)`);
+        i += 1;
+      }
+      value = input.slice(start, i);
+    }
+
+    row.push({ value, quoted });
+
+    if (input[i] === ',') {
+      i += 1;
+      if (i === input.length) row.push({ value: '', quoted: false });
+    } else if (i < input.length) {
+      i += input[i] === '\r' && input[i + 1] === '\n' ? 2 : 1;
+      line += 1;
+      endRow();
+      rowLine = line;
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Decide from the header which containers are arrays: those whose child
+ * segments are exactly 0..n-1. Everything else becomes an object.
+ */
+const findArrayContainers = (columns) => {
+  const children = new Map();
+  columns.forEach((segments) => {
+    segments.slice(0, -1).forEach((_, depth) => {
+      const parent = segments.slice(0, depth + 1).join('.');
+      if (!children.has(parent)) children.set(parent, new Set());
+      children.get(parent).add(segments[depth + 1]);
+    });
+  });
+
+  const arrays = new Set();
+  children.forEach((keys, parent) => {
+    const indexes = [...keys];
+    if (indexes.every((key) => /^(0|[1-9]\d*)$/.test(key)) && indexes.every((key) => Number(key) < indexes.length)) {
+      arrays.add(parent);
+    }
+  });
+  return arrays;
+};
+
+const fillHoles = (value) => {
+  if (Array.isArray(value)) return Array.from(value, (item) => (item === undefined ? null : fillHoles(item)));
+  if (isObject(value)) Object.keys(value).forEach((key) => { value[key] = fillHoles(value[key]); });
+  return value;
+};
+
+/**
+ * Convert CSV text (with a header row) to an array of nested objects.
+ */
+const fromCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const names = header.fields.map((field) => field.value);
+  names.forEach((name, index) => {
+    if (name === '') throw new Error(`CSV line ${header.line}: column ${index + 1} has an empty name`);
+    if (names.indexOf(name) !== index) throw new Error(`CSV line ${header.line}: duplicate column "${name}"`);
+  });
+
+  const columns = names.map((name) => name.split('.'));
+  const arrays = findArrayContainers(columns);
+
+  return rows.map(({ line, fields }) => {
+    if (fields.length > columns.length) {
+      throw new Error(`CSV line ${line}: ${fields.length} fields but the header has ${columns.length} columns`);
+    }
+
+    const record = {};
+    fields.forEach((field, index) => {
+      const value = field.quoted ? field.value : parseCell(field.value);
+      if (value === undefined) return;
+
+      const segments = columns[index];
+      let node = record;
+      segments.slice(0, -1).forEach((segment, depth) => {
+        const containerPath = segments.slice(0, depth + 1).join('.');
+        if (node[segment] === undefined) {
+          node[segment] = arrays.has(containerPath) ? [] : {};
+        } else if (!isContainer(node[segment])) {
+          throw new Error(`CSV line ${line}: column "${names[index]}" conflicts with the value in column "${containerPath}"`);
+        }
+        node = node[segment];
+      });
+
+      const key = segments[segments.length - 1];
+      if (node[key] !== undefined) {
+        throw new Error(`CSV line ${line}: column "${names[index]}" conflicts with a nested column`);
+      }
+      node[key] = value;
+    });
+
+    return fillHoles(record);
+  });
+};
+
+module.exports = { toCsv, fromCsv, parseCsvRows };
@@ -0,0 +1,178 @@
+/**
+ * Structural diff between two JSON documents (jsonproc diff a.json b.json)
+ *
+ * Changes are produced in JSON Patch application order, so the same list can be
+ * printed for humans (paths in --path notation) or emitted as an RFC 6902 patch:
+ * - Objects are compared key by key
+ * - Arrays are compared by index, or matched on a key field (--array-key id);
+ *   in keyed mode reordered elements become "moved" changes
+ * - Removed array elements use their index in the old document, added and
+ *   changed ones their index in the new document
+ */
+
+const { formatPath } = require('./query');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) !== Array.isArray(b) || typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+/**
+ * Encode path segments as an RFC 6901 JSON Pointer.
+ */
+const toPointer = (segments) => segments.map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+/**
+ * Identity of an array element in keyed mode, or null if it has no usable key.
+ */
+const keyOf = (item, arrayKey) => (isObject(item) && Object.prototype.hasOwnProperty.call(item, arrayKey) ? JSON.stringify(item[arrayKey]) : null);
+
+/**
+ * Keyed matching only applies when every element on both sides has a unique key;
+ * anything else (mixed arrays, missing or duplicate keys) falls back to index mode.
+ */
+const canMatchByKey = (a, b, arrayKey) => {
+  if (!arrayKey) return false;
+  return [a, b].every((items) => {
+    const keys = items.map((item) => keyOf(item, arrayKey));
+    return !keys.includes(null) && new Set(keys).size === keys.length;
+  });
+};
+
+const diffObjects = (a, b, segments, changes, options) => {
+  Object.keys(a).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(b, key)) {
+      changes.push({ type: 'removed', path: [...segments, key], oldValue: a[key] });
+    }
+  });
+  Object.keys(a).forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(b, key)) {
+      diffValues(a[key], b[key], [...segments, key], changes, options);
+    }
+  });
+  Object.keys(b).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(a, key)) {
+      changes.push({ type: 'added', path: [...segments, key], newValue: b[key] });
+    }
+  });
+};
+
+const diffArraysByIndex = (a, b, segments, changes, options) => {
+  const common = Math.min(a.length, b.length);
+  for (let index = 0; index < common; index += 1) {
+    diffValues(a[index], b[index], [...segments, index], changes, options);
+  }
+  // Remove from the end so earlier indexes stay valid while the patch is applied
+  for (let index = a.length - 1; index >= common; index -= 1) {
+    changes.push({ type: 'removed', path: [...segments, index], oldValue: a[index] });
+  }
+  for (let index = common; index < b.length; index += 1) {
+    changes.push({ type: 'added', path: [...segments, index], newValue: b[index] });
+  }
+};
+
+const diffArraysByKey = (a, b, segments, changes, options) => {
+  const { arrayKey } = options;
+  const newKeys = new Set(b.map((item) => keyOf(item, arrayKey)));
+  const oldByKey = new Map(a.map((item) => [keyOf(item, arrayKey), item]));
+  // Keys in the order they would have while the patch is applied
+  const working = a.map((item) => keyOf(item, arrayKey));
+
+  for (let index = a.length - 1; index >= 0; index -= 1) {
+    if (!newKeys.has(working[index])) {
+      changes.push({ type: 'removed', path: [...segments, index], oldValue: a[index] });
+      working.splice(index, 1);
+    }
+  }
+
+  b.forEach((item, index) => {
+    const key = keyOf(item, arrayKey);
+    if (!oldByKey.has(key)) {
+      changes.push({ type: 'added', path: [...segments, index], newValue: item });
+      working.splice(index, 0, key);
+      return;
+    }
+
+    const current = working.indexOf(key, index);
+    if (current !== index) {
+      changes.push({ type: 'moved', from: [...segments, current], path: [...segments, index] });
+      working.splice(current, 1);
+      working.splice(index, 0, key);
+    }
+    diffValues(oldByKey.get(key), item, [...segments, index], changes, options);
+  });
+};
+
+/**
+ * Append the changes that turn `a` into `b` to `changes`.
+ */
+const diffValues = (a, b, segments, changes, options) => {
+  if (deepEqual(a, b)) return;
+
+  if (isObject(a) && isObject(b)) {
+    diffObjects(a, b, segments, changes, options);
+  } else if (Array.isArray(a) && Array.isArray(b)) {
+    if (canMatchByKey(a, b, options.arrayKey)) {
+      diffArraysByKey(a, b, segments, changes, options);
+    } else {
+      diffArraysByIndex(a, b, segments, changes, options);
+    }
+  } else {
+    changes.push({ type: 'changed', path: segments, oldValue: a, newValue: b });
+  }
+};
+
+/**
+ * Compare two documents. Returns changes as
+ * { type: 'added'|'removed'|'changed'|'moved', path, from?, oldValue?, newValue? }
+ * where `path` and `from` are arrays of keys/indexes.
+ */
+const diffJson = (a, b, options = {}) => {
+  const changes = [];
+  diffValues(a, b, [], changes, { arrayKey: options.arrayKey || null });
+  return changes;
+};
+
+/**
+ * Convert changes from diffJson into RFC 6902 JSON Patch operations.
+ */
+const toJsonPatch = (changes) => changes.map((change) => {
+  switch (change.type) {
+    case 'added':
+      return { op: 'add', path: toPointer(change.path), value: change.newValue };
+    case 'removed':
+      return { op: 'remove', path: toPointer(change.path) };
+    case 'moved':
+      return { op: 'move', from: toPointer(change.from), path: toPointer(change.path) };
+    default:
+      return { op: 'replace', path: toPointer(change.path), value: change.newValue };
+  }
+});
+
+/**
+ * One line per change for terminal output; `colors` maps change types to painter styles.
+ */
+const formatChange = (change, colors = {}) => {
+  const paint = (type, text) => (colors[type] ? colors[type].apply(text) : text);
+  const where = formatPath(change.path);
+
+  switch (change.type) {
+    case 'added':
+      return paint('added', `+ ${where}: ${JSON.stringify(change.newValue)}`);
+    case 'removed':
+      return paint('removed', `- ${where}: ${JSON.stringify(change.oldValue)}`);
+    case 'moved':
+      return paint('moved', `↕ ${formatPath(change.from)} → ${where}`);
+    default:
+      return paint('changed', `~ ${where}: ${JSON.stringify(change.oldValue)} → ${JSON.stringify(change.newValue)}`);
+  }
+};
+
+module.exports = { diffJson, toJsonPatch, toPointer, formatChange, deepEqual };
@@ -0,0 +1,336 @@
+/**
+ * In-place editing for the JSON processor (--set, --delete, --patch)
+ *
+ * - --set/--delete address values with the --path/--query notation
+ * - --patch applies an RFC 6902 JSON Patch (array of operations) or an
+ *   RFC 7396 merge patch (object); a failing operation aborts the whole patch
+ * - Results keep the original indentation, line endings and final newline,
+ *   and are written atomically (temp file + rename) so readers never see a partial file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatPath } = require('./query');
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) !== Array.isArray(b) || typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+/**
+ * Interpret the right-hand side of --set: JSON literals (numbers, booleans, null,
+ * quoted strings, objects, arrays) are parsed, anything else is kept as a string.
+ * Numbers that would not survive a round trip ("1.10", "1e3") stay strings so
+ * version bumps are never silently rewritten.
+ */
+const parseValue = (text) => {
+  try {
+    const value = JSON.parse(text);
+    if (typeof value === 'number' && String(value) !== text.trim()) return text;
+    return value;
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Split "path=value" at the first "=" outside a bracketed key.
+ */
+const parseAssignment = (assignment) => {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < assignment.length; i += 1) {
+    const char = assignment[i];
+    if (quote) {
+      if (char === '\\') i += 1;
+      else if (char === quote) quote = null;
+    } else if (depth > 0 && (char === '\'' || char === '"')) {
+      quote = char;
+    } else if (char === '[') {
+      depth += 1;
+    } else if (char === ']') {
+      depth -= 1;
+    } else if (char === '=' && depth === 0) {
+      return { path: assignment.slice(0, i), value: parseValue(assignment.slice(i + 1)) };
+    }
+  }
+
+  throw new Error(`Invalid assignment "${assignment}": expected path=value`);
+};
+
+/**
+ * Decode an RFC 6901 JSON Pointer into reference tokens.
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer ${JSON.stringify(pointer)}: must be empty or start with "/"`);
+  }
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Resolve an array index token. JSON Pointers only allow plain non-negative
+ * integers (and "-" for appending); --set/--delete paths also accept negative indexes.
+ */
+const toArrayIndex = (array, token, { append = false, negative = false } = {}) => {
+  if (append && token === '-') return array.length;
+  const text = String(token);
+  if (!(negative ? /^-?\d+$/ : /^(0|[1-9]\d*)$/).test(text)) return null;
+  const index = Number(text);
+  return index < 0 ? array.length + index : index;
+};
+
+/**
+ * Errors for paths that do not exist are flagged, so --delete can exit like a --path miss.
+ */
+const pathNotFound = (where) => Object.assign(new Error(`Path not found: ${where}`), { pathNotFound: true });
+
+const describeType = (value) => (value === null ? 'null' : Array.isArray(value) ? 'an array' : `a ${typeof value}`);
+
+/**
+ * Walk to the container holding the last token. With `create`, missing
+ * intermediate objects are created (like mkdir -p).
+ */
+const locateParent = (root, tokens, { create = false, negative = false } = {}) => {
+  let node = root;
+
+  tokens.slice(0, -1).forEach((token, depth) => {
+    const here = tokens.slice(0, depth + 1);
+    let key = token;
+
+    if (Array.isArray(node)) {
+      key = toArrayIndex(node, token, { negative });
+      if (key === null || key < 0 || key >= node.length) throw pathNotFound(formatPath(here));
+    } else if (!isObject(node)) {
+      throw pathNotFound(`${formatPath(tokens.slice(0, depth))} is ${describeType(node)}`);
+    } else if (!hasOwn(node, key)) {
+      if (!create) throw pathNotFound(formatPath(here));
+      node[key] = {};
+    }
+
+    node = node[key];
+  });
+
+  if (!Array.isArray(node) && !isObject(node)) {
+    throw pathNotFound(`${formatPath(tokens.slice(0, -1))} is ${describeType(node)}`);
+  }
+  return node;
+};
+
+const getValue = (root, tokens) => {
+  if (tokens.length === 0) return root;
+  const parent = locateParent(root, tokens);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = toArrayIndex(parent, token);
+    if (index === null || index >= parent.length) throw pathNotFound(formatPath(tokens));
+    return parent[index];
+  }
+  if (!hasOwn(parent, token)) throw pathNotFound(formatPath(tokens));
+  return parent[token];
+};
+
+/**
+ * Write `value` at `tokens` and return the (possibly replaced) root.
+ * Modes: "insert" (JSON Patch add), "replace" (target must exist) and
+ * "set" (--set: create or overwrite; array index may equal the length to append).
+ */
+const putValue = (root, tokens, value, mode, pathOptions = {}) => {
+  if (tokens.length === 0) return value;
+
+  const parent = locateParent(root, tokens, { ...pathOptions, create: mode === 'set' });
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = toArrayIndex(parent, token, { append: mode === 'insert', negative: pathOptions.negative });
+    const limit = mode === 'replace' ? parent.length - 1 : parent.length;
+    if (index === null || index < 0 || index > limit) throw pathNotFound(formatPath(tokens));
+    parent.splice(index, mode === 'insert' || index === parent.length ? 0 : 1, value);
+  } else {
+    if (mode === 'replace' && !hasOwn(parent, token)) throw pathNotFound(formatPath(tokens));
+    parent[token] = value;
+  }
+
+  return root;
+};
+
+const removeValue = (root, tokens, pathOptions = {}) => {
+  if (tokens.length === 0) throw new Error('Cannot remove the document root');
+
+  const parent = locateParent(root, tokens, pathOptions);
+  const token = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = toArrayIndex(parent, token, pathOptions);
+    if (index === null || index < 0 || index >= parent.length) throw pathNotFound(formatPath(tokens));
+    return { root, removed: parent.splice(index, 1)[0] };
+  }
+
+  if (!hasOwn(parent, token)) throw pathNotFound(formatPath(tokens));
+  const removed = parent[token];
+  delete parent[token];
+  return { root, removed };
+};
+
+/**
+ * --set: create or overwrite the value at `segments` (from parsePath).
+ */
+const setValue = (data, segments, value) => putValue(data, segments, value, 'set', { negative: true });
+
+/**
+ * --delete: remove the value at `segments`; missing paths are an error.
+ */
+const deleteValue = (data, segments) => removeValue(data, segments, { negative: true }).root;
+
+const applyOperation = (document, operation) => {
+  const tokens = parsePointer(operation.path);
+
+  switch (operation.op) {
+    case 'add':
+      return putValue(document, tokens, structuredClone(operation.value), 'insert');
+    case 'remove':
+      return removeValue(document, tokens).root;
+    case 'replace':
+      return putValue(document, tokens, structuredClone(operation.value), 'replace');
+    case 'move': {
+      const from = parsePointer(operation.from);
+      if (operation.path.startsWith(`${operation.from}/`)) throw new Error('Cannot move a value into one of its own children');
+      const { root, removed } = removeValue(document, from);
+      return putValue(root, tokens, removed, 'insert');
+    }
+    case 'copy':
+      return putValue(document, tokens, structuredClone(getValue(document, parsePointer(operation.from))), 'insert');
+    default: {
+      const actual = getValue(document, tokens);
+      if (!deepEqual(actual, operation.value)) {
+        throw new Error(`Test failed: expected ${JSON.stringify(operation.value)} but found ${JSON.stringify(actual)}`);
+      }
+      return document;
+    }
+  }
+};
+
+/**
+ * Apply an RFC 6902 JSON Patch. Operations run on a copy, so the input is
+ * untouched when any of them fails.
+ */
+const applyJsonPatch = (data, operations) => {
+  if (!Array.isArray(operations)) throw new Error('A JSON Patch must be an array of operations');
+
+  return operations.reduce((document, operation, index) => {
+    const label = isObject(operation) ? `${operation.op} ${operation.path}` : JSON.stringify(operation);
+    try {
+      if (!isObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+        throw new Error(`"op" must be one of: ${JSON_PATCH_OPERATIONS.join(', ')}`);
+      }
+      if (typeof operation.path !== 'string') throw new Error('"path" is required');
+      if ((operation.op === 'move' || operation.op === 'copy') && typeof operation.from !== 'string') {
+        throw new Error('"from" is required');
+      }
+      if (['add', 'replace', 'test'].includes(operation.op) && !hasOwn(operation, 'value')) {
+        throw new Error('"value" is required');
+      }
+      return applyOperation(document, operation);
+    } catch (error) {
+      throw new Error(`Patch operation ${index} (${label}) failed: ${error.message}`);
+    }
+  }, structuredClone(data));
+};
+
+/**
+ * Apply an RFC 7396 merge patch: objects merge recursively, null deletes a key,
+ * anything else replaces the target.
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return structuredClone(patch);
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Detect how a JSON file is laid out so edits can be written back the same way.
+ * An empty indent means the file was minified.
+ */
+const detectFormatting = (raw) => {
+  const body = raw.replace(/\s+$/, '');
+  const indentMatch = body.match(/\n([ \t]+)\S/);
+  let indent = '';
+  if (indentMatch) {
+    indent = indentMatch[1].startsWith('\t') ? '\t' : indentMatch[1].length;
+  } else if (body.includes('\n')) {
+    indent = 2;
+  }
+
+  return {
+    indent,
+    newline: raw.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(raw)
+  };
+};
+
+/**
+ * Print data with the detected formatting. `stringify` defaults to JSON.stringify
+ * and is replaced by the canonical serializer for --canonical.
+ */
+const serializeJson = (data, { indent, newline, finalNewline }, stringify = (value, space) => JSON.stringify(value, null, space)) => {
+  const text = stringify(data, indent || undefined).replace(/\n/g, newline);
+  return finalNewline ? `${text}${newline}` : text;
+};
+
+/**
+ * Write via a temp file in the target directory and rename it into place.
+ * Symlinks are resolved so the link itself is kept, and the file mode is preserved.
+ */
+const writeFileAtomic = (targetPath, content) => {
+  const resolvedPath = fs.existsSync(targetPath) ? fs.realpathSync(targetPath) : targetPath;
+  const mode = fs.existsSync(resolvedPath) ? fs.statSync(resolvedPath).mode & 0o7777 : null;
+  const tempPath = path.join(path.dirname(resolvedPath), `.${path.basename(resolvedPath)}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    const fd = fs.openSync(tempPath, 'wx');
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (mode !== null) fs.chmodSync(tempPath, mode);
+    fs.renameSync(tempPath, resolvedPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+module.exports = {
+  parseAssignment,
+  parsePointer,
+  setValue,
+  deleteValue,
+  applyJsonPatch,
+  applyMergePatch,
+  detectFormatting,
+  serializeJson,
+  writeFileAtomic
+};
@@ -0,0 +1,68 @@
+/**
+ * Input/output formats for the JSON processor (--from / --to)
+ *
+ * Maps format names and file extensions to the converters in csv.js, yaml.js
+ * and toml.js. NDJSON here means loading the whole file into an array; use
+ * --ndjson to stream it instead.
+ */
+
+const path = require('path');
+const { toCsv, fromCsv } = require('./csv');
+const { toYaml, fromYaml } = require('./yaml');
+const { toToml, fromToml } = require('./toml');
+const { describeLineError } = require('./ndjson');
+
+const FORMATS = ['json', 'csv', 'yaml', 'toml', 'ndjson'];
+
+const FORMATS_BY_EXTENSION = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+/**
+ * Guess a file's format from its extension; anything unknown is treated as JSON.
+ */
+const detectFormat = (filePath) => FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'json';
+
+const fromNdjson = (text) => {
+  const records = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`NDJSON line ${index + 1}: ${describeLineError(line, error.message)}`);
+    }
+  });
+  return records;
+};
+
+const toNdjson = (data) => {
+  const records = Array.isArray(data) ? data : [data];
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+};
+
+const PARSERS = { csv: fromCsv, yaml: fromYaml, toml: fromToml, ndjson: fromNdjson };
+
+const SERIALIZERS = {
+  json: (data) => `${JSON.stringify(data, null, 2)}\n`,
+  csv: toCsv,
+  yaml: toYaml,
+  toml: toToml,
+  ndjson: toNdjson
+};
+
+/**
+ * Parse non-JSON text into a JSON value (JSON itself is parsed by the caller,
+ * which has the richer syntax error reporting).
+ */
+const parseFormat = (text, format) => PARSERS[format](text);
+
+const serializeFormat = (data, format) => SERIALIZERS[format](data);
+
+module.exports = { FORMATS, detectFormat, parseFormat, serializeFormat };
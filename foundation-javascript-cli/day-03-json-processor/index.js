@@ -7,28 +7,115 @@
  * - Validate JSON files and surface parse errors with context
  * - Pretty-print, minify, or list keys from JSON documents
  * - Traverse nested objects via dot notation (--path user.profile.name)
- * - Generate data stats for arrays and objects (--stats)
- * - Flexible output formats for use in shell pipelines
+ * - JSONPath-style queries with wildcards, recursive descent, slices and filters (--query)
+ * - Validate documents against a JSON Schema and list every violation (--schema)
+ * - Structural diff of two documents as colored text or an RFC 6902 JSON Patch (diff)
+ * - Deep merge of layered files with array strategies and a conflict report (merge)
+ * - Edit in place with --set, --delete and JSON/merge patches (atomic, keeps formatting)
+ * - Stream NDJSON / JSON Lines files record by record (--ndjson) with --filter
+ * - Infer a JSON Schema or TypeScript interfaces from sample data (--infer-schema)
+ * - Convert between JSON, CSV, YAML, TOML and NDJSON (--from / --to)
+ * - Read JSONC / JSON5 (--loose) and write canonical JSON with sorted keys (--canonical)
+ * - Generate data stats for arrays and objects, with a per-field profile of record arrays (--stats, --json)
+ * - Read from standard input (- or a pipe) and print bare data with --raw for shell pipelines
  */
 
 const fs = require('fs');
 const path = require('path');
+const { describeJsonError } = require('./json-errors');
+const { parseLoose, describeLooseError } = require('./loose');
+const { stringifyCanonical } = require('./canonical');
+const { runQuery, compileQuery, compileFilter, parsePath, formatPath } = require('./query');
+const { validateSchema } = require('./schema');
+const { diffJson, toJsonPatch, formatChange } = require('./diff');
+const {
+  parseAssignment,
+  setValue,
+  deleteValue,
+  applyJsonPatch,
+  applyMergePatch,
+  detectFormatting,
+  serializeJson,
+  writeFileAtomic
+} = require('./edit');
+const { readNdjson, RecordStats } = require('./ndjson');
+const { INFER_FORMATS, createShape, addSample, inferShape, toJsonSchema, toTypeScript, toPascalCase } = require('./infer');
+const { FORMATS, detectFormat, parseFormat, serializeFormat } = require('./formats');
+const { profileDocument } = require('./profile');
+const { parseArrayStrategy, mergeDocuments } = require('./merge');
+const painter = require('../day-06-colorful-output');
 
-const HELP_TEXT = `\nUsage: node index.js <json-file> [options]\n\nOptions:\n  --pretty               Pretty-print JSON with 2-space indentation\n  --minify               Output compact JSON\n  --keys                 List top-level keys\n  --path <dot.path>      Retrieve value via dot notation\n  --stats                Display structural statistics\n  --help                 Show this help message\n\nExamples:\n  node index.js data.json --pretty\n  node index.js data.json --path users.0.email\n  node index.js data.json --stats\n`;
+// Exit codes scripts can branch on (1 covers every other error)
+const EXIT_VALIDATION_FAILED = 2; // the document parses but does not satisfy --schema
+const EXIT_PARSE_ERROR = 3; // the input is not valid JSON (or CSV/YAML/TOML/NDJSON)
+const EXIT_PATH_NOT_FOUND = 4; // --path or --delete matched nothing
 
-const isHelpRequested = () => process.argv.length <= 2 || process.argv.includes('--help');
+// File argument that reads the document from standard input
+const STDIN = '-';
+
+const DIFF_FORMATS = ['text', 'patch'];
+
+// Change markers in human-readable diff output (only used on a TTY)
+const DIFF_COLORS = {
+  added: painter.green(),
+  removed: painter.red(),
+  changed: painter.yellow(),
+  moved: painter.cyan()
+};
+
+const HELP_TEXT = `\nUsage: node index.js <json-file | -> [options]\n       <command> | node index.js [options]\n       node index.js diff <a.json> <b.json> [--array-key <field>] [--format text|patch]\n       node index.js merge <a.json> <b.json> [more.json ...] [--arrays <strategy>] [--conflicts]\n\nOptions:\n  --pretty               Pretty-print JSON with 2-space indentation\n  --minify               Output compact JSON\n  --keys                 List top-level keys\n  --path <dot.path>      Retrieve value via dot notation\n  --query <expression>   Return every match of a JSONPath-style query as an array\n  --schema <schema.json> Validate against a JSON Schema (exit code 2 on violations)\n  --stats                Display statistics and profile every field of an array of records\n  --json                 With --stats: print the profile as JSON only\n  --infer-schema [fmt]   Infer a schema from the data: json-schema (default) or typescript\n  --raw, --quiet         Print only the data: no banner, headings or summary\n  --loose                Accept JSONC / JSON5: comments, trailing commas, single quotes, unquoted keys, hex\n  --canonical            Canonical JSON: keys sorted recursively, shortest number form (RFC 8785)\n  --help                 Show this help message\n\nEdit options (repeatable, applied in order, then saved):\n  --set <path=value>     Set a value (JSON literal, otherwise a string)\n  --delete <path>        Remove a value\n  --patch <patch.json>   Apply an RFC 6902 JSON Patch (array) or RFC 7396 merge patch (object)\n  --output <file>        Write the result here instead of back to the input file\n\nConversion options:\n  --from <format>        Input format: json, csv, yaml, toml or ndjson (default: from the extension)\n  --to <format>          Print the document as json, csv, yaml, toml or ndjson (or save it with --output)\n\nNDJSON options:\n  --ndjson               Stream one JSON record per line (--path, --query and --stats apply per record)\n  --filter <expression>  Keep records matching a filter, e.g. "@.level == 'error'"\n\nDiff options:\n  --array-key <field>    Match array elements by this field instead of by index\n  --format <text|patch>  Colored change list (default) or RFC 6902 JSON Patch\n\nMerge options (later files win; --from, --to, --output and --raw also apply):\n  --arrays <strategy>    replace (default), concat, union or by-key:<field>\n  --conflicts            List every overridden path and the file that won\n\nExit codes:\n  0 success, 1 error, 2 schema violations, 3 input parse error, 4 --path or --delete path not found\n\nExamples:\n  node index.js data.json --pretty\n  node index.js data.json --path users.0.email\n  node index.js data.json --query "users[?(@.age > 30)].email"\n  node index.js data.json --schema schema.json\n  node index.js data.json --stats\n  node index.js export.json --stats --json > profile.json\n  node index.js payload.json --infer-schema typescript\n  node index.js package.json --set version=1.2.0 --set flags.beta=false\n  node index.js config.json --delete "servers[-1]" --output config.prod.json\n  node index.js events.ndjson --ndjson --filter "@.status >= 500" --path request.url\n  node index.js users.json --to csv --output users.csv\n  node index.js tsconfig.json --loose --canonical | sha256sum\n  curl -s https://api.example.com/users | node index.js --path 0.email --raw\n  node index.js config.yaml --set server.port=8080\n  node index.js diff old.json new.json --array-key id\n  node index.js diff old.json new.json --format patch > changes.patch.json\n  node index.js merge base.json staging.json local.json --arrays by-key:name --conflicts\n`;
+
+/**
+ * True when fd 0 is a pipe or a redirected file. This checks the descriptor itself:
+ * reading process.stdin.isTTY would switch a pipe to non-blocking mode, and a
+ * closed or /dev/null stdin (CI, cron) is not input to process.
+ */
+const isStdinPiped = () => {
+  try {
+    const stats = fs.fstatSync(0);
+    return stats.isFIFO() || stats.isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+// With no arguments, piped input is processed instead of showing the help
+const isHelpRequested = () => (process.argv.length <= 2 && !isStdinPiped()) || process.argv.includes('--help');
 
 const parseArguments = () => {
   const args = process.argv.slice(2);
   const options = {
+    command: 'process',
     filePath: null,
+    files: [],
+    arrayKey: null,
+    format: null,
     pretty: false,
     minify: false,
     keys: false,
     path: null,
-    stats: false
+    query: null,
+    schema: null,
+    stats: false,
+    edits: [],
+    output: null,
+    ndjson: false,
+    filter: null,
+    inferSchema: null,
+    from: null,
+    to: null,
+    raw: false,
+    json: false,
+    arrays: null,
+    conflicts: false,
+    loose: false,
+    canonical: false
   };
 
+  if (args[0] === 'diff' || args[0] === 'merge') {
+    options.command = args.shift();
+  }
+
   for (let i = 0; i < args.length; i += 1) {
     const arg = args[i];
 
@@ -46,33 +133,200 @@ const parseArguments = () => {
         case '--stats':
           options.stats = true;
           break;
+        case '--json':
+          options.json = true;
+          break;
+        case '--loose':
+          options.loose = true;
+          break;
+        case '--canonical':
+          options.canonical = true;
+          break;
+        case '--raw':
+        case '--quiet':
+          options.raw = true;
+          break;
+        case '--infer-schema':
+          // The format is optional: only consume the next argument if it names one
+          if (INFER_FORMATS.includes(args[i + 1])) {
+            options.inferSchema = args[i + 1];
+            i += 1;
+          } else {
+            options.inferSchema = 'json-schema';
+          }
+          break;
+        case '--ndjson':
+          options.ndjson = true;
+          break;
+        case '--filter':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --filter option requires an expression.');
+          }
+          options.filter = args[i + 1];
+          i += 1;
+          break;
         case '--path':
           if (!args[i + 1] || args[i + 1].startsWith('--')) {
             throw new Error('The --path option requires a dot-notated value.');
           }
           options.path = args[i + 1];
+          options.pathSegments = parsePath(args[i + 1]);
+          i += 1;
+          break;
+        case '--query':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --query option requires an expression.');
+          }
+          options.query = args[i + 1];
+          i += 1;
+          break;
+        case '--schema':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --schema option requires a schema file path.');
+          }
+          options.schema = args[i + 1];
+          i += 1;
+          break;
+        case '--set': {
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --set option requires a path=value pair.');
+          }
+          const assignment = parseAssignment(args[i + 1]);
+          options.edits.push({ type: 'set', path: assignment.path, segments: parsePath(assignment.path), value: assignment.value });
+          i += 1;
+          break;
+        }
+        case '--delete':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --delete option requires a path.');
+          }
+          options.edits.push({ type: 'delete', path: args[i + 1], segments: parsePath(args[i + 1]) });
+          i += 1;
+          break;
+        case '--patch':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --patch option requires a patch file path.');
+          }
+          options.edits.push({ type: 'patch', file: args[i + 1] });
+          i += 1;
+          break;
+        case '--output':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --output option requires a file path.');
+          }
+          options.output = args[i + 1];
+          i += 1;
+          break;
+        case '--from':
+        case '--to':
+          if (!FORMATS.includes(args[i + 1])) {
+            throw new Error(`The ${arg} option must be one of: ${FORMATS.join(', ')}.`);
+          }
+          options[arg.slice(2)] = args[i + 1];
+          i += 1;
+          break;
+        case '--array-key':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --array-key option requires a field name.');
+          }
+          options.arrayKey = args[i + 1];
           i += 1;
           break;
+        case '--format':
+          if (!DIFF_FORMATS.includes(args[i + 1])) {
+            throw new Error(`The --format option must be one of: ${DIFF_FORMATS.join(', ')}.`);
+          }
+          options.format = args[i + 1];
+          i += 1;
+          break;
+        case '--arrays':
+          options.arrays = parseArrayStrategy(args[i + 1]);
+          i += 1;
+          break;
+        case '--conflicts':
+          options.conflicts = true;
+          break;
         case '--help':
           break;
         default:
           throw new Error(`Unknown option: ${arg}`);
       }
-    } else if (!options.filePath) {
+    } else if ((options.command === 'diff' && options.files.length < 2) || options.command === 'merge') {
+      options.files.push(arg);
+    } else if (options.command === 'process' && !options.filePath) {
       options.filePath = arg;
     } else {
       throw new Error(`Unexpected argument: ${arg}`);
     }
   }
 
-  if (!options.filePath) {
-    throw new Error('Missing JSON file path.');
+  // No file argument but something is piped in: read it
+  if (options.command === 'process' && !options.filePath && isStdinPiped()) {
+    options.filePath = STDIN;
+  }
+
+  if (options.command === 'diff') {
+    if (options.files.length < 2) {
+      throw new Error('The diff command requires two JSON files.');
+    }
+    if (options.files.every((file) => file === STDIN)) {
+      throw new Error('Only one diff input can be read from standard input.');
+    }
+  } else if (options.command === 'merge') {
+    if (options.files.length < 2) {
+      throw new Error('The merge command requires at least two files.');
+    }
+    if (options.files.filter((file) => file === STDIN).length > 1) {
+      throw new Error('Only one merge input can be read from standard input.');
+    }
+    if (options.pretty || options.minify || options.keys || options.path || options.query || options.schema || options.stats
+      || options.inferSchema || options.edits.length > 0 || options.ndjson || options.arrayKey || options.format) {
+      throw new Error('The merge command supports --arrays, --conflicts, --from, --to, --output, --raw, --loose and --canonical only.');
+    }
+    if (!options.arrays) options.arrays = parseArrayStrategy('replace');
+  } else {
+    if (options.arrays || options.conflicts) {
+      throw new Error('The --arrays and --conflicts options are only valid with the merge command.');
+    }
+    if (!options.filePath) {
+      throw new Error('Missing JSON file path.');
+    }
+    if (options.filePath === STDIN && options.edits.length > 0 && !options.output) {
+      throw new Error('Edits to standard input need --output <file> to save the result.');
+    }
+    // The result is plain JSON, so an in-place write would silently drop comments and JSON5 syntax
+    if (options.loose && options.edits.length > 0 && !options.output) {
+      throw new Error('Edits to --loose input need --output <file>: writing plain JSON back would drop its comments and JSON5 syntax.');
+    }
+    if (options.arrayKey || options.format) {
+      throw new Error('The --array-key and --format options are only valid with the diff command.');
+    }
+    if (options.output && options.edits.length === 0 && !options.to && !options.canonical) {
+      throw new Error('The --output option requires --to, --canonical or at least one --set, --delete or --patch.');
+    }
+    if (options.json && !options.stats) {
+      throw new Error('The --json option is only valid with --stats.');
+    }
+    if (options.filter && !options.ndjson) {
+      throw new Error('The --filter option is only valid with --ndjson.');
+    }
+    if (options.ndjson) {
+      if (options.pretty || options.minify || options.keys || options.schema || options.json || options.edits.length > 0
+        || options.from || options.to || options.loose || options.canonical) {
+        throw new Error('The --ndjson mode supports --path, --query, --filter, --stats and --infer-schema only.');
+      }
+      if (options.path && options.query) {
+        throw new Error('Use either --path or --query with --ndjson, not both.');
+      }
+    }
+    // The JSON profile is printed on its own so it can be redirected straight into a file
+    if (options.json) options.raw = true;
   }
 
   return options;
 };
 
-const loadJson = (absolutePath) => {
+const assertFile = (absolutePath) => {
   if (!fs.existsSync(absolutePath)) {
     throw new Error(`File not found: ${absolutePath}`);
   }
@@ -81,27 +335,79 @@ const loadJson = (absolutePath) => {
   if (!stats.isFile()) {
     throw new Error('Provided path is not a file.');
   }
+};
+
+const resolveInput = (filePath) => (filePath === STDIN ? STDIN : path.resolve(process.cwd(), filePath));
+
+const describeInput = (inputPath) => (inputPath === STDIN ? '(stdin)' : inputPath);
+
+const parseError = (message) => Object.assign(new Error(message), { exitCode: EXIT_PARSE_ERROR });
+
+/**
+ * Read and parse a document in the given format. JSON gets detailed syntax errors;
+ * the other formats report the line their parser stopped at. `loose` accepts JSONC / JSON5.
+ * Parse errors carry exitCode EXIT_PARSE_ERROR.
+ */
+const readDocument = (inputPath, format = 'json', loose = false) => {
+  let raw;
+  if (inputPath === STDIN) {
+    raw = fs.readFileSync(0, 'utf8');
+  } else {
+    assertFile(inputPath);
+    raw = fs.readFileSync(inputPath, 'utf8');
+  }
+
+  if (format !== 'json') {
+    try {
+      return { raw, data: parseFormat(raw, format) };
+    } catch (error) {
+      throw parseError(`Failed to parse ${format.toUpperCase()}: ${error.message}`);
+    }
+  }
+
+  if (loose) {
+    try {
+      return { raw, data: parseLoose(raw.replace(/^\uFEFF/, '')) };
+    } catch (error) {
+      throw parseError(`Failed to parse JSON5: ${describeLooseError(raw.replace(/^\uFEFF/, ''), error)}`);
+    }
+  }
 
-  const raw = fs.readFileSync(absolutePath, 'utf8');
   try {
-    return JSON.parse(raw);
+    return { raw, data: JSON.parse(raw) };
   } catch (error) {
-    throw new Error(`Failed to parse JSON: ${error.message}`);
+    throw parseError(`Failed to parse JSON: ${describeJsonError(raw, error.message)}`);
   }
 };
 
-const getValueAtPath = (data, dotPath) => {
-  return dotPath.split('.').reduce((acc, segment) => {
-    if (acc === undefined || acc === null) return undefined;
+const loadJson = (absolutePath, loose = false) => readDocument(absolutePath, 'json', loose).data;
 
-    // Handle array indices, e.g., users.0.email
-    if (Number.isInteger(Number(segment)) && Array.isArray(acc)) {
-      return acc[Number(segment)];
-    }
+/**
+ * JSON.stringify, or its canonical form with sorted keys for --canonical.
+ */
+const stringifyJson = (data, indent, canonical) => (canonical ? stringifyCanonical(data, indent) : JSON.stringify(data, null, indent));
 
-    return acc[segment];
-  }, data);
-};
+/**
+ * serializeFormat, except that JSON output honors --canonical.
+ */
+const serializeOutput = (data, format, canonical) => (format === 'json' && canonical ? `${stringifyCanonical(data, 2)}\n` : serializeFormat(data, format));
+
+/**
+ * Look up the value at `segments` (from parsePath), or undefined if any step is missing.
+ * Array steps accept "0" as well as 0, and negative indexes count from the end.
+ */
+const getValueAtPath = (data, segments) => segments.reduce((acc, segment) => {
+  if (acc === undefined || acc === null || typeof acc !== 'object') return undefined;
+
+  // Handle array indices, e.g., users.0.email or items[-1]
+  if (Array.isArray(acc)) {
+    if (!/^-?\d+$/.test(String(segment))) return undefined;
+    const index = Number(segment);
+    return acc[index < 0 ? acc.length + index : index];
+  }
+
+  return Object.prototype.hasOwnProperty.call(acc, segment) ? acc[segment] : undefined;
+}, data);
 
 const formatValue = (value) => {
   if (typeof value === 'string') return value;
@@ -110,6 +416,50 @@ const formatValue = (value) => {
   return JSON.stringify(value, null, 2);
 };
 
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4))));
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const formatCounts = (counts) => Object.entries(counts)
+  .map(([name, count]) => `${name} ${count}`)
+  .join(', ');
+
+const formatSample = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+/**
+ * Print the structure and field profile parts of --stats.
+ */
+const outputProfile = (profile) => {
+  const { total, ...byType } = profile.nodes;
+  console.log('\n🌳 Structure');
+  console.log('-'.repeat(32));
+  console.log(`Nodes: ${total} (${formatCounts(byType)})`);
+  console.log(`Max Depth: ${profile.maxDepth}`);
+
+  if (!profile.fields) return;
+
+  console.log(`\n🧪 Field Profile (${profile.records} records, ${profile.fields.length} fields${profile.skipped ? `, ${profile.skipped} non-object items skipped` : ''})`);
+  console.log('-'.repeat(32));
+  profile.fields.forEach((field) => {
+    console.log(field.path);
+    console.log(`  Types: ${formatCounts(field.types)}`);
+    console.log(`  Fill: ${formatPercent(field.fillRate)} (${field.missing} missing, ${field.null} null, ${field.empty} empty)`);
+    console.log(`  Distinct: ${field.distinct}`);
+    console.log(`  Top: ${field.top.map(({ value, count }) => `${formatSample(value)} (${count})`).join(', ')}`);
+    if (field.numbers) {
+      const { min, max, mean, median } = field.numbers;
+      console.log(`  Numbers: min ${formatNumber(min)}, max ${formatNumber(max)}, mean ${formatNumber(mean)}, median ${formatNumber(median)}`);
+    }
+    if (field.dates) {
+      const { count, min, max, mean, median } = field.dates;
+      console.log(`  Dates (${count}): min ${min}, max ${max}, mean ${mean}, median ${median}`);
+    }
+  });
+};
+
 const outputStats = (data) => {
   if (Array.isArray(data)) {
     console.log('📊 Array Stats');
@@ -136,6 +486,248 @@ const outputStats = (data) => {
   }
 };
 
+/**
+ * Apply --set/--delete/--patch edits in command-line order.
+ * Returns the edited document and one description line per edit.
+ */
+const applyEdits = (data, edits, loose = false) => {
+  const applied = [];
+
+  const result = edits.reduce((current, edit) => {
+    try {
+      if (edit.type === 'set') {
+        applied.push(`set ${formatPath(edit.segments)} = ${JSON.stringify(edit.value)}`);
+        return setValue(current, edit.segments, edit.value);
+      }
+      if (edit.type === 'delete') {
+        applied.push(`delete ${formatPath(edit.segments)}`);
+        return deleteValue(current, edit.segments);
+      }
+
+      const patch = loadJson(path.resolve(process.cwd(), edit.file), loose);
+      if (Array.isArray(patch)) {
+        applied.push(`patch ${edit.file} (${patch.length} JSON Patch ${patch.length === 1 ? 'operation' : 'operations'})`);
+        return applyJsonPatch(current, patch);
+      }
+      applied.push(`patch ${edit.file} (merge patch)`);
+      return applyMergePatch(current, patch);
+    } catch (error) {
+      const target = edit.type === 'patch' ? edit.file : edit.path;
+      // A --delete of a path that does not exist fails like a --path that matched nothing
+      const exitCode = edit.type === 'delete' && error.pathNotFound ? EXIT_PATH_NOT_FOUND : error.exitCode;
+      throw Object.assign(new Error(`--${edit.type} ${target}: ${error.message}`), { exitCode });
+    }
+  }, data);
+
+  return { data: result, applied };
+};
+
+// Headings are left out in --raw mode so only the data reaches stdout
+const printBanner = (options, ...lines) => {
+  if (options.raw) return;
+  console.log('🧮 JSON Processor CLI - Day 3');
+  console.log('='.repeat(32));
+  lines.forEach((line) => console.log(line));
+};
+
+const printSection = (title, options) => {
+  if (options.raw) return;
+  console.log(`\n${title}`);
+  console.log('-'.repeat(32));
+};
+
+const runDiff = (options) => {
+  const [leftPath, rightPath] = options.files.map(resolveInput);
+
+  let changes;
+  try {
+    const [left, right] = [leftPath, rightPath].map((file) => readDocument(file, options.from || detectFormat(file), options.loose).data);
+    changes = diffJson(left, right, { arrayKey: options.arrayKey });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(error.exitCode || 1);
+  }
+
+  // The patch is printed on its own so it can be redirected straight into a file
+  if (options.format === 'patch') {
+    console.log(JSON.stringify(toJsonPatch(changes), null, 2));
+    process.exit(0);
+  }
+
+  printBanner(options, `Old: ${describeInput(leftPath)}`, `New: ${describeInput(rightPath)}`);
+
+  const counts = changes.reduce((acc, change) => {
+    acc[change.type] = (acc[change.type] || 0) + 1;
+    return acc;
+  }, {});
+  const breakdown = ['added', 'removed', 'changed', 'moved']
+    .filter((type) => counts[type])
+    .map((type) => `${counts[type]} ${type}`)
+    .join(', ');
+
+  printSection(`🔀 Differences (${changes.length} ${changes.length === 1 ? 'change' : 'changes'}${breakdown ? `: ${breakdown}` : ''})`, options);
+  if (changes.length === 0) {
+    if (!options.raw) console.log('✅ Documents are identical.');
+  } else {
+    const colors = process.stdout.isTTY ? DIFF_COLORS : {};
+    changes.forEach((change) => console.log(formatChange(change, colors)));
+  }
+
+  process.exit(0);
+};
+
+/**
+ * merge: deep-merge the files left to right, then print or save the result
+ * and (--conflicts) every value a later file overrode.
+ */
+const runMerge = (options) => {
+  const inputPaths = options.files.map(resolveInput);
+
+  let result;
+  try {
+    const documents = inputPaths.map((inputPath, index) => ({
+      file: options.files[index],
+      data: readDocument(inputPath, options.from || detectFormat(inputPath), options.loose).data
+    }));
+    result = mergeDocuments(documents, options.arrays);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(error.exitCode || 1);
+  }
+
+  const outputPath = options.output ? path.resolve(process.cwd(), options.output) : null;
+  const outputFormat = options.to || (outputPath ? detectFormat(outputPath) : 'json');
+  let content;
+  try {
+    content = serializeOutput(result.data, outputFormat, options.canonical);
+    if (outputPath) writeFileAtomic(outputPath, content);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const strategy = options.arrays.key ? `by-key:${options.arrays.key}` : options.arrays.type;
+  printBanner(options, ...inputPaths.map((inputPath, index) => `Layer ${index + 1}: ${describeInput(inputPath)}`));
+
+  if (outputPath) {
+    if (!options.raw) console.log(`\n💾 Saved to ${outputPath} (${outputFormat.toUpperCase()})`);
+  } else {
+    printSection(`🧩 Merged (${inputPaths.length} files, arrays: ${strategy})`, options);
+    process.stdout.write(content);
+  }
+
+  if (options.conflicts) {
+    // With --raw the report goes to stderr so stdout stays a clean document
+    const report = options.raw ? console.error : console.log;
+    printSection(`⚔️ Conflicts (${result.conflicts.length} overridden ${result.conflicts.length === 1 ? 'path' : 'paths'})`, options);
+    if (result.conflicts.length === 0 && !options.raw) {
+      console.log('✅ No values were overridden.');
+    }
+    result.conflicts.forEach(({ path: conflictPath, values }) => {
+      const winner = values[values.length - 1];
+      const overridden = values.slice(0, -1).map(({ file, value }) => `${file} ${JSON.stringify(value)}`).reverse();
+      report(`- ${conflictPath}: ${winner.file} wins with ${JSON.stringify(winner.value)} (overrides ${overridden.join(', ')})`);
+    });
+  }
+
+  process.exit(0);
+};
+
+/**
+ * Print an inferred shape as a JSON Schema or TypeScript declarations named after the file.
+ */
+const printInferredSchema = (shape, options, inputPath) => {
+  const format = options.inferSchema;
+  const rootName = inputPath === STDIN ? 'Root' : toPascalCase(path.basename(inputPath).replace(/\..*$/, ''));
+  const label = format === 'typescript' ? 'TypeScript' : 'JSON Schema';
+  printSection(`🧬 Inferred Schema (${label}, ${shape.samples} ${shape.samples === 1 ? 'sample' : 'samples'})`, options);
+  if (format === 'typescript') {
+    process.stdout.write(toTypeScript(shape, rootName));
+  } else {
+    console.log(JSON.stringify(toJsonSchema(shape), null, 2));
+  }
+};
+
+const printRecordStats = (summary, counts, options) => {
+  if (!options.raw) {
+    console.log('📊 NDJSON Stats');
+    console.log('-'.repeat(32));
+  }
+  console.log(`Records: ${counts.records}`);
+  if (counts.matched !== null) console.log(`Matched Filter: ${counts.matched}`);
+  console.log(`Malformed Lines: ${counts.malformed}`);
+  console.log(`Values Aggregated: ${summary.count}`);
+  console.log('Type Breakdown:', summary.types);
+  if (summary.topKeys.length > 0) {
+    console.log(`Key Coverage (${summary.distinctKeys} distinct keys):`);
+    summary.topKeys.forEach(({ key, count, coverage }) => {
+      console.log(`- ${key}: ${count} (${(coverage * 100).toFixed(1)}%)`);
+    });
+  }
+};
+
+/**
+ * --ndjson: stream records, apply --filter, then --path/--query per record.
+ * Matching values are printed one per line (NDJSON again); --stats aggregates them.
+ */
+const runNdjson = async (options) => {
+  const inputPath = resolveInput(options.filePath);
+  if (inputPath !== STDIN) assertFile(inputPath);
+
+  const filter = options.filter ? compileFilter(options.filter) : null;
+  const query = options.query ? compileQuery(options.query) : null;
+  const printValues = Boolean(options.path || options.query || options.filter);
+  const stats = options.stats ? new RecordStats() : null;
+  const shape = options.inferSchema ? createShape() : null;
+  const counts = { records: 0, matched: filter ? 0 : null, malformed: 0 };
+
+  printBanner(options, `File: ${describeInput(inputPath)} (NDJSON)`);
+  if (printValues) printSection('📜 Records', options);
+
+  const input = inputPath === STDIN ? process.stdin : fs.createReadStream(inputPath);
+  for await (const item of readNdjson(input)) {
+    if (item.error) {
+      counts.malformed += 1;
+      console.error(`⚠️ Line ${item.line}: ${item.error}`);
+      continue;
+    }
+
+    counts.records += 1;
+    if (filter) {
+      if (!filter(item.value)) continue;
+      counts.matched += 1;
+    }
+
+    let values = [item.value];
+    if (options.path) {
+      const value = getValueAtPath(item.value, options.pathSegments);
+      values = value === undefined ? [] : [value];
+    } else if (query) {
+      values = query(item.value);
+    }
+
+    values.forEach((value) => {
+      if (printValues) console.log(JSON.stringify(value));
+      if (stats) stats.add(value);
+      if (shape) addSample(shape, value);
+    });
+  }
+
+  if (shape) printInferredSchema(shape, options, inputPath);
+
+  if (stats) {
+    printSection('📈 Statistics', options);
+    printRecordStats(stats.summarize(), counts, options);
+  } else if (!shape && !options.raw) {
+    printSection('ℹ️ Summary', options);
+    console.log(`Records: ${counts.records}`);
+    if (counts.matched !== null) console.log(`Matched Filter: ${counts.matched}`);
+    console.log(`Malformed Lines: ${counts.malformed}`);
+  }
+
+  process.exit(0);
+};
+
 const main = () => {
   if (isHelpRequested()) {
     console.log('🧮 JSON Processor CLI - Day 3');
@@ -152,63 +744,183 @@ const main = () => {
     process.exit(1);
   }
 
-  const absolutePath = path.resolve(process.cwd(), options.filePath);
+  if (options.command === 'diff') {
+    runDiff(options);
+    return;
+  }
+
+  if (options.command === 'merge') {
+    runMerge(options);
+    return;
+  }
+
+  if (options.ndjson) {
+    runNdjson(options).catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+    return;
+  }
+
+  const inputPath = resolveInput(options.filePath);
+  const inputFormat = options.from || detectFormat(inputPath);
 
   let data;
+  let raw;
   try {
-    data = loadJson(absolutePath);
+    ({ data, raw } = readDocument(inputPath, inputFormat, options.loose));
   } catch (error) {
     console.error(`❌ ${error.message}`);
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   }
 
-  console.log('🧮 JSON Processor CLI - Day 3');
-  console.log('='.repeat(32));
-  console.log(`File: ${absolutePath}`);
+  let edits = null;
+  let saved = null;
+  if (options.edits.length > 0 || options.output) {
+    const outputPath = path.resolve(process.cwd(), options.output || options.filePath);
+    // Writing back keeps the input format; --output is written in the --to format when given
+    const outputFormat = options.output && options.to ? options.to : inputFormat;
+    try {
+      if (options.edits.length > 0) {
+        edits = applyEdits(data, options.edits, options.loose);
+        data = edits.data;
+      }
+      const content = outputFormat === 'json' && inputFormat === 'json'
+        ? serializeJson(data, detectFormatting(raw), options.canonical ? stringifyCanonical : undefined)
+        : serializeOutput(data, outputFormat, options.canonical);
+      writeFileAtomic(outputPath, content);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(error.exitCode || 1);
+    }
+    saved = { outputPath, outputFormat };
+  }
+
+  let converted = null;
+  if (options.to && !options.output) {
+    try {
+      converted = serializeOutput(data, options.to, options.canonical);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  printBanner(options, `File: ${describeInput(inputPath)}${inputFormat === 'json' ? '' : ` (${inputFormat.toUpperCase()})`}`);
+
+  if (edits && !options.raw) {
+    printSection('✏️ Edits', options);
+    edits.applied.forEach((line) => console.log(`- ${line}`));
+  }
+  if (saved && !options.raw) {
+    console.log(`${edits ? '' : '\n'}💾 Saved to ${saved.outputPath} (${saved.outputFormat.toUpperCase()})`);
+  }
 
   if (options.keys) {
     if (data && typeof data === 'object' && !Array.isArray(data)) {
-      console.log('\n🔑 Top-level Keys');
-      console.log('-'.repeat(32));
-      Object.keys(data).forEach((key) => console.log(`- ${key}`));
+      printSection('🔑 Top-level Keys', options);
+      Object.keys(data).forEach((key) => console.log(options.raw ? key : `- ${key}`));
+    } else if (options.raw) {
+      console.error('⚠️ Top-level Keys: (Value is not an object)');
     } else {
       console.log('\n🔑 Top-level Keys: (Value is not an object)');
     }
   }
 
+  let pathMissing = false;
   if (options.path) {
-    const value = getValueAtPath(data, options.path);
-    console.log('\n🎯 Path Result');
-    console.log('-'.repeat(32));
+    const value = getValueAtPath(data, options.pathSegments);
+    printSection('🎯 Path Result', options);
     if (value === undefined) {
-      console.log(`Path "${options.path}" not found.`);
+      pathMissing = true;
+      if (options.raw) {
+        console.error(`❌ Path "${options.path}" not found.`);
+      } else {
+        console.log(`Path "${options.path}" not found.`);
+      }
     } else {
       console.log(formatValue(value));
     }
   }
 
+  if (options.query) {
+    let matches;
+    try {
+      matches = runQuery(data, options.query);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    printSection(`🔎 Query Result (${matches.length} ${matches.length === 1 ? 'match' : 'matches'})`, options);
+    console.log(JSON.stringify(matches, null, 2));
+  }
+
+  let schemaFailed = false;
+  if (options.schema) {
+    const schemaPath = path.resolve(process.cwd(), options.schema);
+    let violations;
+    try {
+      violations = validateSchema(data, loadJson(schemaPath, options.loose));
+    } catch (error) {
+      console.error(`❌ Schema ${schemaPath}: ${error.message}`);
+      process.exit(error.exitCode || 1);
+    }
+
+    printSection('🧾 Schema Validation', options);
+    if (violations.length === 0) {
+      if (!options.raw) console.log(`✅ Document is valid against ${options.schema}`);
+    } else {
+      schemaFailed = true;
+      if (!options.raw) console.log(`❌ ${violations.length} ${violations.length === 1 ? 'violation' : 'violations'} against ${options.schema}`);
+      violations.forEach((violation) => {
+        console.log(`- ${violation.path} [${violation.keyword}]: ${violation.message}`);
+      });
+    }
+  }
+
   if (options.stats) {
-    console.log('\n📈 Statistics');
-    console.log('-'.repeat(32));
-    outputStats(data);
+    const profile = profileDocument(data);
+    if (options.json) {
+      console.log(JSON.stringify(profile, null, 2));
+    } else {
+      printSection('📈 Statistics', options);
+      outputStats(data);
+      outputProfile(profile);
+    }
+  }
+
+  if (options.inferSchema) {
+    printInferredSchema(inferShape(data), options, inputPath);
   }
 
   if (options.pretty) {
-    console.log('\n✨ Pretty JSON');
-    console.log('-'.repeat(32));
-    console.log(JSON.stringify(data, null, 2));
+    printSection('✨ Pretty JSON', options);
+    console.log(stringifyJson(data, 2, options.canonical));
   }
 
   if (options.minify) {
-    console.log('\n📦 Minified JSON');
-    console.log('-'.repeat(32));
-    console.log(JSON.stringify(data));
+    printSection('📦 Minified JSON', options);
+    console.log(stringifyJson(data, 0, options.canonical));
   }
 
-  // Default behavior (no specific options): show summary
-  if (!options.pretty && !options.minify && !options.keys && !options.path && !options.stats) {
-    console.log('\nℹ️ Summary');
-    console.log('-'.repeat(32));
+  // --canonical on its own prints the exact RFC 8785 form (no whitespace), ready for hashing
+  if (options.canonical && !options.pretty && !options.minify && !options.to && !saved) {
+    printSection('🔏 Canonical JSON', options);
+    console.log(stringifyCanonical(data));
+  }
+
+  if (converted !== null) {
+    printSection(`🔁 Converted to ${options.to.toUpperCase()}`, options);
+    process.stdout.write(converted);
+  }
+
+  // Default behavior (no specific options): show summary, or the document itself with --raw
+  if (!options.pretty && !options.minify && !options.keys && !options.path && !options.query && !options.schema && !options.stats && !options.inferSchema && !options.to && !options.canonical && !edits) {
+    if (options.raw) {
+      console.log(JSON.stringify(data, null, 2));
+      process.exit(0);
+    }
+    printSection('ℹ️ Summary', options);
     if (Array.isArray(data)) {
       console.log(`Type: Array (${data.length} items)`);
     } else if (data && typeof data === 'object') {
@@ -219,7 +931,8 @@ const main = () => {
     }
   }
 
-  process.exit(0);
+  if (schemaFailed) process.exit(EXIT_VALIDATION_FAILED);
+  process.exit(pathMissing ? EXIT_PATH_NOT_FOUND : 0);
 };
 
 main();
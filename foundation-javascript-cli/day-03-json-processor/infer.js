@@ -0,0 +1,159 @@
+/**
+ * Schema inference for the JSON processor (--infer-schema)
+ *
+ * Every value in the document is folded into a "shape" that records which
+ * types were seen and how often each object key appeared (every element of
+ * every array counts). The shape is then rendered as a JSON Schema (draft
+ * 2020-12) or as TypeScript declarations:
+ * - keys seen in every object are required, the others optional with their frequency
+ * - null next to other types makes a field nullable
+ * - mixed types become unions; integers widen to number when both appear
+ */
+
+const INFER_FORMATS = ['json-schema', 'typescript'];
+
+// Order types are listed in unions: structured types first, null last
+const TYPE_ORDER = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const createShape = () => ({ samples: 0, primitives: {}, object: null, array: null });
+
+/**
+ * Fold `value` (and everything below it) into `shape`.
+ */
+const addSample = (shape, value) => {
+  shape.samples += 1;
+
+  if (Array.isArray(value)) {
+    if (!shape.array) shape.array = { samples: 0, items: createShape() };
+    shape.array.samples += 1;
+    value.forEach((item) => addSample(shape.array.items, item));
+  } else if (value !== null && typeof value === 'object') {
+    if (!shape.object) shape.object = { samples: 0, properties: new Map() };
+    shape.object.samples += 1;
+    Object.entries(value).forEach(([key, child]) => {
+      if (!shape.object.properties.has(key)) shape.object.properties.set(key, { present: 0, shape: createShape() });
+      const property = shape.object.properties.get(key);
+      property.present += 1;
+      addSample(property.shape, child);
+    });
+  } else {
+    const type = value === null ? 'null' : Number.isInteger(value) ? 'integer' : typeof value;
+    shape.primitives[type] = (shape.primitives[type] || 0) + 1;
+  }
+
+  return shape;
+};
+
+const inferShape = (value) => addSample(createShape(), value);
+
+const typesOf = (shape) => TYPE_ORDER.filter((type) => {
+  if (type === 'object') return Boolean(shape.object);
+  if (type === 'array') return Boolean(shape.array);
+  if (type === 'integer' && shape.primitives.number) return false;
+  return Boolean(shape.primitives[type]);
+});
+
+const describeFrequency = (present, total) => `present in ${present} of ${total} objects (${((present / total) * 100).toFixed(1)}%)`;
+
+const shapeToJsonSchema = (shape) => {
+  const types = typesOf(shape);
+  // Nothing observed, e.g. the items of arrays that were always empty
+  if (types.length === 0) return {};
+
+  const schema = { type: types.length === 1 ? types[0] : types };
+
+  if (shape.object) {
+    const properties = {};
+    const required = [];
+    shape.object.properties.forEach(({ present, shape: child }, key) => {
+      properties[key] = shapeToJsonSchema(child);
+      if (present === shape.object.samples) {
+        required.push(key);
+      } else {
+        properties[key].description = `Optional: ${describeFrequency(present, shape.object.samples)}`;
+      }
+    });
+    schema.properties = properties;
+    if (required.length > 0) schema.required = required;
+  }
+
+  if (shape.array && shape.array.items.samples > 0) {
+    schema.items = shapeToJsonSchema(shape.array.items);
+  }
+
+  return schema;
+};
+
+/**
+ * Render a shape as a JSON Schema document.
+ */
+const toJsonSchema = (shape) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  ...shapeToJsonSchema(shape)
+});
+
+const toPascalCase = (text) => {
+  const name = String(text)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  if (!name) return 'Item';
+  return /^\d/.test(name) ? `T${name}` : name;
+};
+
+const formatKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Render a shape as TypeScript: one exported interface per object shape,
+ * named after the key it was found under, plus a type alias when the root is
+ * not a plain object.
+ */
+const toTypeScript = (shape, rootName = 'Root') => {
+  const declarations = [];
+  const usedNames = new Set();
+
+  const uniqueName = (base) => {
+    let name = base;
+    for (let suffix = 2; usedNames.has(name); suffix += 1) name = `${base}${suffix}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const declareInterface = (objectShape, name) => {
+    if (objectShape.properties.size === 0) return 'Record<string, unknown>';
+
+    // Reserve the slot first so parents are declared before their children
+    const slot = declarations.push(null) - 1;
+    const lines = [];
+    objectShape.properties.forEach(({ present, shape: child }, key) => {
+      const optional = present < objectShape.samples;
+      if (optional) lines.push(`  /** Optional: ${describeFrequency(present, objectShape.samples)} */`);
+      lines.push(`  ${formatKey(key)}${optional ? '?' : ''}: ${typeExpression(child, toPascalCase(key))};`);
+    });
+    declarations[slot] = `export interface ${name} {\n${lines.join('\n')}\n}`;
+    return name;
+  };
+
+  const typeExpression = (current, nameHint) => typesOf(current).map((type) => {
+    if (type === 'object') return declareInterface(current.object, uniqueName(nameHint));
+    if (type === 'array') {
+      if (current.array.items.samples === 0) return 'unknown[]';
+      const item = typeExpression(current.array.items, `${nameHint}Item`);
+      return item.includes(' | ') ? `(${item})[]` : `${item}[]`;
+    }
+    return type === 'integer' ? 'number' : type;
+  }).join(' | ') || 'unknown';
+
+  const rootTypes = typesOf(shape);
+  if (rootTypes.length === 1 && rootTypes[0] === 'object' && shape.object.properties.size > 0) {
+    typeExpression(shape, rootName);
+  } else {
+    usedNames.add(rootName);
+    declarations.unshift(`export type ${rootName} = ${typeExpression(shape, rootName)};`);
+  }
+
+  return `${declarations.join('\n\n')}\n`;
+};
+
+module.exports = { INFER_FORMATS, createShape, addSample, inferShape, toJsonSchema, toTypeScript, toPascalCase };
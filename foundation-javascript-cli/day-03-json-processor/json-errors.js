@@ -0,0 +1,307 @@
+/**
+ * Precise JSON syntax errors for the JSON processor
+ *
+ * V8's JSON.parse messages only sometimes carry a byte offset, so failed input
+ * is re-scanned by a strict validator that knows exactly where it stopped and
+ * why. The result is reported as line/column, a code frame with a caret under
+ * the offending character, and a hint for the usual hand-editing mistakes
+ * (trailing commas, single quotes, unquoted keys, comments).
+ */
+
+// Lines of context shown above and below the error line
+const FRAME_CONTEXT_LINES = 2;
+// Long (e.g. minified) lines are cropped to this many characters around the caret
+const FRAME_MAX_WIDTH = 80;
+
+const HINTS = {
+  trailingComma: 'Trailing commas are not allowed in JSON. Remove the "," before this character.',
+  singleQuotes: 'JSON strings and keys must use double quotes ("), not single quotes (\').',
+  unquotedKey: 'Object keys must be double-quoted strings, e.g. {"name": 1} instead of {name: 1}.',
+  comment: 'JSON does not support comments. Remove the // or /* */ comment, or use --loose to read JSONC / JSON5.',
+  missingComma: 'A "," is probably missing between the previous value and this one.',
+  unclosed: 'The document ends early. Check for an unclosed {, [ or string.',
+  invalidLiteral: 'Only true, false and null are valid literals. NaN, Infinity and undefined are not JSON.',
+  invalidNumber: 'JSON numbers cannot have leading zeros, a leading "+" or ".", or a hex prefix.',
+  controlCharacter: 'Control characters inside strings must be escaped, e.g. \\n for a newline or \\t for a tab.',
+  invalidEscape: 'Valid escapes are \\", \\\\, \\/, \\b, \\f, \\n, \\r, \\t and \\uXXXX.',
+  bom: 'The file starts with a byte order mark (BOM). Save it as UTF-8 without BOM.',
+  extraData: 'Only one top-level value is allowed. Wrap multiple values in an array.'
+};
+
+class JsonSyntaxError extends Error {
+  constructor(message, position, hint = null) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.position = position;
+    this.hint = hint;
+  }
+}
+
+// Sticky, so scanning a number never copies the rest of the document
+const NUMBER_PATTERN = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+const describeChar = (char) => (char === undefined ? 'end of input' : JSON.stringify(char));
+
+/**
+ * Strict recursive-descent JSON validator. It only locates the first error;
+ * the actual parsing is still done by JSON.parse.
+ */
+class JsonScanner {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  fail(message, hint = null, position = this.pos) {
+    throw new JsonSyntaxError(message, position, hint);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  skipWhitespace() {
+    while (/[ \t\n\r]/.test(this.peek() || '')) this.pos += 1;
+  }
+
+  previousSignificantChar() {
+    let index = this.pos - 1;
+    while (index >= 0 && /[ \t\n\r]/.test(this.text[index])) index -= 1;
+    return this.text[index];
+  }
+
+  /**
+   * Pick the most likely hint for an unexpected character.
+   */
+  hintFor(char, expectingKey = false) {
+    if (char === undefined) return HINTS.unclosed;
+    if ((char === '}' || char === ']') && this.previousSignificantChar() === ',') return HINTS.trailingComma;
+    if (char === '\'') return HINTS.singleQuotes;
+    if (char === '/' && (this.peek(1) === '/' || this.peek(1) === '*')) return HINTS.comment;
+    if (char === '\uFEFF' && this.pos === 0) return HINTS.bom;
+    if (/[A-Za-z_$]/.test(char)) {
+      if (expectingKey) return HINTS.unquotedKey;
+      return HINTS.invalidLiteral;
+    }
+    if (char === '+' || char === '.') return HINTS.invalidNumber;
+    return null;
+  }
+
+  scan() {
+    this.skipWhitespace();
+    this.scanValue();
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      const char = this.peek();
+      const hint = char === '/' ? this.hintFor(char) : HINTS.extraData;
+      this.fail(`Unexpected ${describeChar(char)} after the JSON value`, hint);
+    }
+  }
+
+  scanValue() {
+    const char = this.peek();
+
+    if (char === '{') return this.scanObject();
+    if (char === '[') return this.scanArray();
+    if (char === '"') return this.scanString();
+    if (char === '-' || /[0-9]/.test(char || '')) return this.scanNumber();
+
+    for (const literal of ['true', 'false', 'null']) {
+      if (this.text.startsWith(literal, this.pos)) {
+        this.pos += literal.length;
+        return undefined;
+      }
+    }
+
+    return this.fail(`Unexpected ${describeChar(char)}, expected a value`, this.hintFor(char));
+  }
+
+  scanObject() {
+    this.pos += 1;
+    this.skipWhitespace();
+    if (this.peek() === '}') {
+      this.pos += 1;
+      return;
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      const char = this.peek();
+      if (char !== '"') {
+        this.fail(`Unexpected ${describeChar(char)}, expected a double-quoted property name`, this.hintFor(char, true));
+      }
+      this.scanString();
+
+      this.skipWhitespace();
+      if (this.peek() !== ':') {
+        this.fail(`Unexpected ${describeChar(this.peek())}, expected ":" after the property name`, this.hintFor(this.peek()));
+      }
+      this.pos += 1;
+
+      this.skipWhitespace();
+      this.scanValue();
+      this.skipWhitespace();
+
+      const next = this.peek();
+      if (next === ',') {
+        this.pos += 1;
+      } else if (next === '}') {
+        this.pos += 1;
+        return;
+      } else {
+        const hint = next === '"' || /[A-Za-z]/.test(next || '') ? HINTS.missingComma : this.hintFor(next);
+        this.fail(`Unexpected ${describeChar(next)}, expected "," or "}"`, hint);
+      }
+    }
+  }
+
+  scanArray() {
+    this.pos += 1;
+    this.skipWhitespace();
+    if (this.peek() === ']') {
+      this.pos += 1;
+      return;
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      this.scanValue();
+      this.skipWhitespace();
+
+      const next = this.peek();
+      if (next === ',') {
+        this.pos += 1;
+      } else if (next === ']') {
+        this.pos += 1;
+        return;
+      } else {
+        const startsValue = next !== undefined && /["{[\-0-9tfn]/.test(next);
+        this.fail(`Unexpected ${describeChar(next)}, expected "," or "]"`, startsValue ? HINTS.missingComma : this.hintFor(next));
+      }
+    }
+  }
+
+  scanString() {
+    const start = this.pos;
+    this.pos += 1;
+
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (char === '"') {
+        this.pos += 1;
+        return;
+      }
+      if (char === '\\') {
+        const escape = this.peek(1);
+        if (escape === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(this.text.slice(this.pos + 2, this.pos + 6))) {
+            this.fail('Invalid \\u escape in string', HINTS.invalidEscape);
+          }
+          this.pos += 6;
+          continue;
+        }
+        if (!'"\\/bfnrt'.includes(escape || '\0')) {
+          this.fail(`Invalid escape "\\${escape || ''}" in string`, HINTS.invalidEscape);
+        }
+        this.pos += 2;
+        continue;
+      }
+      if (char.charCodeAt(0) < 0x20) {
+        this.fail('Unescaped control character in string', HINTS.controlCharacter);
+      }
+      this.pos += 1;
+    }
+
+    this.fail('Unterminated string', HINTS.unclosed, start);
+  }
+
+  scanNumber() {
+    const start = this.pos;
+    NUMBER_PATTERN.lastIndex = start;
+    const match = NUMBER_PATTERN.exec(this.text);
+    if (!match) {
+      this.fail(`Invalid number starting with ${describeChar(this.peek())}`, HINTS.invalidNumber);
+    }
+    this.pos += match[0].length;
+    if (/[0-9xX.]/.test(this.peek() || '')) {
+      this.fail(`Invalid number ${JSON.stringify(match[0] + this.peek())}`, HINTS.invalidNumber, start);
+    }
+  }
+}
+
+/**
+ * Return the first syntax error in `text` as a JsonSyntaxError, or null if it is valid JSON.
+ */
+const findSyntaxError = (text) => {
+  try {
+    new JsonScanner(text).scan();
+    return null;
+  } catch (error) {
+    if (error instanceof JsonSyntaxError) return error;
+    throw error;
+  }
+};
+
+/**
+ * Convert a string offset into 1-based line and column numbers.
+ */
+const getLineColumn = (text, position) => {
+  const before = text.slice(0, position);
+  const line = before.split('\n').length;
+  const column = position - before.lastIndexOf('\n');
+  return { line, column };
+};
+
+/**
+ * Render the lines around `position` with a caret under the offending character.
+ */
+const buildCodeFrame = (text, position) => {
+  const lines = text.split('\n');
+  const { line, column } = getLineColumn(text, position);
+  const first = Math.max(1, line - FRAME_CONTEXT_LINES);
+  const last = Math.min(lines.length, line + FRAME_CONTEXT_LINES);
+  const gutterWidth = String(last).length;
+
+  // Crop long lines to a window around the caret so minified files stay readable
+  const windowStart = Math.max(0, column - 1 - Math.floor(FRAME_MAX_WIDTH / 2));
+  const crop = (content) => {
+    const cropped = content.replace(/\r$/, '').slice(windowStart, windowStart + FRAME_MAX_WIDTH);
+    const prefix = windowStart > 0 ? '…' : '';
+    const suffix = content.length > windowStart + FRAME_MAX_WIDTH ? '…' : '';
+    return `${prefix}${cropped}${suffix}`;
+  };
+
+  const frame = [];
+  for (let number = first; number <= last; number += 1) {
+    const marker = number === line ? '>' : ' ';
+    frame.push(`${marker} ${String(number).padStart(gutterWidth)} | ${crop(lines[number - 1])}`);
+
+    if (number === line) {
+      // Keep tabs so the caret lines up with tab-indented content
+      const lead = (windowStart > 0 ? '…' : '') + lines[number - 1].slice(windowStart, column - 1);
+      const padding = lead.replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${padding}^`);
+    }
+  }
+
+  return frame.join('\n');
+};
+
+/**
+ * Explain why `text` failed to parse: message with line/column, code frame and hint.
+ * `fallbackMessage` (V8's own message) is used if the scanner finds nothing wrong.
+ */
+const describeJsonError = (text, fallbackMessage) => {
+  const error = findSyntaxError(text);
+  if (!error) return fallbackMessage;
+
+  const { line, column } = getLineColumn(text, error.position);
+  const parts = [
+    `${error.message} at line ${line}, column ${column}`,
+    buildCodeFrame(text, error.position)
+  ];
+  if (error.hint) parts.push(`💡 Hint: ${error.hint}`);
+  return parts.join('\n');
+};
+
+module.exports = { JsonSyntaxError, findSyntaxError, getLineColumn, buildCodeFrame, describeJsonError };
@@ -0,0 +1,263 @@
+/**
+ * Tolerant JSONC / JSON5 parsing for the JSON processor (--loose)
+ *
+ * Accepts what tsconfig.json, VS Code settings and JSON5 files use on top of JSON:
+ * - // line and /* block *\/ comments
+ * - trailing commas in objects and arrays
+ * - single-quoted strings, \x escapes and backslash line continuations
+ * - unquoted (identifier) keys
+ * - hex numbers, leading/trailing decimal points and a leading "+"
+ * Infinity and NaN are rejected, because the result has to be valid JSON.
+ * Errors are JsonSyntaxErrors, so they get the same line/column and code frame.
+ */
+
+const { JsonSyntaxError, getLineColumn, buildCodeFrame } = require('./json-errors');
+
+const WHITESPACE = /[\t\n\v\f\r \u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]/;
+
+const IDENTIFIER_START = /[\p{L}\p{Nl}$_]/u;
+
+const IDENTIFIER_PART = /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200C\u200D]/u;
+
+const DECIMAL_NUMBER = /[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y;
+
+const HEX_NUMBER = /[+-]?0[xX][0-9a-fA-F]+/y;
+
+const SIMPLE_ESCAPES = {
+  b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'
+};
+
+const describeChar = (char) => (char === undefined ? 'end of input' : JSON.stringify(char));
+
+class LooseParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  fail(message, position = this.pos, hint = null) {
+    throw new JsonSyntaxError(message, position, hint);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  /**
+   * Skip whitespace and comments.
+   */
+  skipIgnored() {
+    for (;;) {
+      const char = this.peek();
+      if (char !== undefined && WHITESPACE.test(char)) {
+        this.pos += 1;
+      } else if (char === '/' && this.peek(1) === '/') {
+        while (this.pos < this.text.length && !'\n\r\u2028\u2029'.includes(this.peek())) this.pos += 1;
+      } else if (char === '/' && this.peek(1) === '*') {
+        const end = this.text.indexOf('*/', this.pos + 2);
+        if (end === -1) this.fail('Unterminated block comment');
+        this.pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  parse() {
+    this.skipIgnored();
+    const value = this.parseValue();
+    this.skipIgnored();
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected ${describeChar(this.peek())} after the value`, this.pos, 'Only one top-level value is allowed. Wrap multiple values in an array.');
+    }
+    return value;
+  }
+
+  parseValue() {
+    const char = this.peek();
+
+    if (char === '{') return this.parseObject();
+    if (char === '[') return this.parseArray();
+    if (char === '"' || char === '\'') return this.parseString();
+    if (char !== undefined && /[0-9+\-.]/.test(char)) return this.parseNumber();
+
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (this.text.startsWith(literal, this.pos) && !IDENTIFIER_PART.test(this.peek(literal.length) || '')) {
+        this.pos += literal.length;
+        return value;
+      }
+    }
+
+    if (this.text.startsWith('Infinity', this.pos) || this.text.startsWith('NaN', this.pos)) {
+      this.fail('Infinity and NaN cannot be represented in JSON');
+    }
+    return this.fail(`Unexpected ${describeChar(char)}, expected a value`, this.pos, char === undefined ? 'The document ends early. Check for an unclosed {, [ or string.' : null);
+  }
+
+  parseObject() {
+    const result = {};
+    this.pos += 1;
+
+    for (;;) {
+      this.skipIgnored();
+      if (this.peek() === '}') {
+        this.pos += 1;
+        return result;
+      }
+
+      const key = this.parseKey();
+      this.skipIgnored();
+      if (this.peek() !== ':') {
+        this.fail(`Unexpected ${describeChar(this.peek())}, expected ":" after the property name`);
+      }
+      this.pos += 1;
+      this.skipIgnored();
+
+      // defineProperty keeps "__proto__" an ordinary key, as JSON.parse does
+      Object.defineProperty(result, key, { value: this.parseValue(), enumerable: true, writable: true, configurable: true });
+
+      this.skipIgnored();
+      const next = this.peek();
+      if (next === ',') {
+        this.pos += 1;
+      } else if (next !== '}') {
+        this.fail(`Unexpected ${describeChar(next)}, expected "," or "}"`);
+      }
+    }
+  }
+
+  parseKey() {
+    const char = this.peek();
+    if (char === '"' || char === '\'') return this.parseString();
+
+    const start = this.pos;
+    if (char === undefined || !IDENTIFIER_START.test(char)) {
+      this.fail(`Unexpected ${describeChar(char)}, expected a property name`);
+    }
+    this.pos += 1;
+    while (this.pos < this.text.length && IDENTIFIER_PART.test(this.peek())) this.pos += 1;
+    return this.text.slice(start, this.pos);
+  }
+
+  parseArray() {
+    const result = [];
+    this.pos += 1;
+
+    for (;;) {
+      this.skipIgnored();
+      if (this.peek() === ']') {
+        this.pos += 1;
+        return result;
+      }
+
+      result.push(this.parseValue());
+
+      this.skipIgnored();
+      const next = this.peek();
+      if (next === ',') {
+        this.pos += 1;
+      } else if (next !== ']') {
+        this.fail(`Unexpected ${describeChar(next)}, expected "," or "]"`);
+      }
+    }
+  }
+
+  parseString() {
+    const start = this.pos;
+    const quote = this.peek();
+    let value = '';
+    this.pos += 1;
+
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (char === quote) {
+        this.pos += 1;
+        return value;
+      }
+      if (char === '\n' || char === '\r') {
+        this.fail('Unescaped line break in string', this.pos, 'End the line with a backslash to continue a string on the next line.');
+      }
+      if (char !== '\\') {
+        value += char;
+        this.pos += 1;
+        continue;
+      }
+
+      const escape = this.peek(1);
+      this.pos += 2;
+      if (escape === undefined) break;
+      if (escape === 'u' || escape === 'x') {
+        const length = escape === 'u' ? 4 : 2;
+        const digits = this.text.slice(this.pos, this.pos + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) this.fail(`Invalid \\${escape} escape in string`, this.pos - 2);
+        value += String.fromCharCode(parseInt(digits, 16));
+        this.pos += length;
+      } else if (escape === '0' && /[0-9]/.test(this.peek() || '')) {
+        this.fail('Octal escapes are not allowed in strings', this.pos - 2);
+      } else if (/[1-9]/.test(escape)) {
+        this.fail(`Invalid escape "\\${escape}" in string`, this.pos - 2);
+      } else if (escape === '\r') {
+        // Line continuation: the backslash and the line break are dropped
+        if (this.peek() === '\n') this.pos += 1;
+      } else if (!'\n\u2028\u2029'.includes(escape)) {
+        value += SIMPLE_ESCAPES[escape] !== undefined ? SIMPLE_ESCAPES[escape] : escape;
+      }
+    }
+
+    return this.fail('Unterminated string', start, 'The document ends early. Check for an unclosed {, [ or string.');
+  }
+
+  parseNumber() {
+    const start = this.pos;
+    const hex = HEX_NUMBER;
+    hex.lastIndex = start;
+    const hexMatch = hex.exec(this.text);
+
+    let value;
+    if (hexMatch) {
+      const text = hexMatch[0];
+      const sign = text.startsWith('-') ? -1 : 1;
+      value = sign * parseInt(text.replace(/^[+-]?0[xX]/, ''), 16);
+      this.pos += text.length;
+    } else {
+      DECIMAL_NUMBER.lastIndex = start;
+      const match = DECIMAL_NUMBER.exec(this.text);
+      if (!match) {
+        const rest = this.text.slice(start + 1);
+        if (/^(Infinity|NaN)/.test(rest)) this.fail('Infinity and NaN cannot be represented in JSON');
+        this.fail(`Invalid number starting with ${describeChar(this.peek())}`);
+      }
+      if (/^[+-]?0\d/.test(match[0])) this.fail(`Invalid number ${JSON.stringify(match[0])}: leading zeros are not allowed`, start);
+      value = Number(match[0]);
+      this.pos += match[0].length;
+    }
+
+    if (this.pos < this.text.length && IDENTIFIER_PART.test(this.peek())) {
+      this.fail(`Invalid number ${JSON.stringify(this.text.slice(start, this.pos + 1))}`, start);
+    }
+    if (!Number.isFinite(value)) this.fail('Number is too large to be represented in JSON', start);
+    return value;
+  }
+}
+
+/**
+ * Parse JSONC / JSON5 text into a plain JSON value.
+ */
+const parseLoose = (text) => new LooseParser(text).parse();
+
+/**
+ * Explain a --loose parse error with line/column and a code frame, like describeJsonError.
+ */
+const describeLooseError = (text, error) => {
+  if (!(error instanceof JsonSyntaxError)) return error.message;
+
+  const { line, column } = getLineColumn(text, error.position);
+  const parts = [
+    `${error.message} at line ${line}, column ${column}`,
+    buildCodeFrame(text, error.position)
+  ];
+  if (error.hint) parts.push(`💡 Hint: ${error.hint}`);
+  return parts.join('\n');
+};
+
+module.exports = { parseLoose, describeLooseError };
@@ -0,0 +1,151 @@
+/**
+ * Deep merge of several JSON documents (jsonproc merge base.json staging.json local.json)
+ *
+ * Files are applied left to right, so later files win:
+ * - Objects are merged key by key, recursively
+ * - Scalars, and values whose type changes, are replaced by the later file
+ * - Arrays follow the --arrays strategy: replace (default), concat, union
+ *   (concat without deep-equal duplicates) or by-key:<field> (elements with the
+ *   same field value are merged, the others added as in union)
+ * Every replaced value is recorded as a conflict together with the file that set it.
+ */
+
+const { formatPath } = require('./query');
+const { deepEqual } = require('./diff');
+
+const ARRAY_STRATEGIES = ['replace', 'concat', 'union', 'by-key:<field>'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Parse an --arrays value into { type, key }.
+ */
+const parseArrayStrategy = (text) => {
+  if (['replace', 'concat', 'union'].includes(text)) return { type: text, key: null };
+  const match = /^by-key:(.+)$/.exec(text || '');
+  if (match) return { type: 'by-key', key: match[1] };
+  throw new Error(`The --arrays option must be one of: ${ARRAY_STRATEGIES.join(', ')}.`);
+};
+
+/**
+ * Remembers which file set each value, so a conflict can name the file it overrides.
+ * Values copied as a whole are recorded once at their root; lookups walk up to it.
+ * Paths are kept in a trie, so replacing a value drops its whole subtree at once.
+ */
+class Origins {
+  constructor() {
+    this.root = { file: undefined, children: new Map() };
+  }
+
+  set(segments, file) {
+    const node = segments.reduce((parent, segment) => {
+      if (!parent.children.has(segment)) parent.children.set(segment, { file: undefined, children: new Map() });
+      return parent.children.get(segment);
+    }, this.root);
+    node.file = file;
+    // Forget what was recorded below this path: the new value replaces all of it
+    node.children = new Map();
+  }
+
+  get(segments) {
+    let node = this.root;
+    let file = node.file === undefined ? null : node.file;
+    for (const segment of segments) {
+      node = node.children.get(segment);
+      if (!node) break;
+      if (node.file !== undefined) file = node.file;
+    }
+    return file;
+  }
+}
+
+class Merger {
+  constructor(strategy) {
+    this.strategy = strategy;
+    this.origins = new Origins();
+    this.conflicts = new Map();
+  }
+
+  /**
+   * Replace a value, recording the override unless the value is unchanged.
+   */
+  replace(current, incoming, segments, file) {
+    if (deepEqual(current, incoming)) return current;
+
+    const id = JSON.stringify(segments);
+    if (!this.conflicts.has(id)) {
+      this.conflicts.set(id, { path: formatPath(segments), values: [{ file: this.origins.get(segments), value: current }] });
+    }
+    this.conflicts.get(id).values.push({ file, value: incoming });
+    this.origins.set(segments, file);
+    return structuredClone(incoming);
+  }
+
+  merge(current, incoming, segments, file) {
+    if (isObject(current) && isObject(incoming)) {
+      Object.keys(incoming).forEach((key) => {
+        const childSegments = [...segments, key];
+        if (hasOwn(current, key)) {
+          current[key] = this.merge(current[key], incoming[key], childSegments, file);
+        } else {
+          current[key] = structuredClone(incoming[key]);
+          this.origins.set(childSegments, file);
+        }
+      });
+      return current;
+    }
+
+    if (Array.isArray(current) && Array.isArray(incoming) && this.strategy.type !== 'replace') {
+      return this.mergeArrays(current, incoming, segments, file);
+    }
+
+    return this.replace(current, incoming, segments, file);
+  }
+
+  append(current, item, segments, file) {
+    current.push(structuredClone(item));
+    this.origins.set([...segments, current.length - 1], file);
+  }
+
+  mergeArrays(current, incoming, segments, file) {
+    const { type, key } = this.strategy;
+
+    incoming.forEach((item) => {
+      if (type === 'by-key' && isObject(item) && hasOwn(item, key)) {
+        const index = current.findIndex((existing) => isObject(existing) && hasOwn(existing, key) && deepEqual(existing[key], item[key]));
+        if (index !== -1) {
+          current[index] = this.merge(current[index], item, [...segments, index], file);
+          return;
+        }
+      }
+
+      // Elements by-key cannot match (e.g. plain strings) are deduplicated like union
+      if (type !== 'concat' && current.some((existing) => deepEqual(existing, item))) return;
+      this.append(current, item, segments, file);
+    });
+
+    return current;
+  }
+}
+
+/**
+ * Merge documents given as [{ file, data }] in order.
+ * Returns the merged value and the conflicts as
+ * [{ path, values: [{ file, value }, ...] }], where the last value is the one that won.
+ */
+const mergeDocuments = (documents, strategy = { type: 'replace', key: null }) => {
+  const merger = new Merger(strategy);
+  const [first, ...rest] = documents;
+
+  let result = structuredClone(first.data);
+  merger.origins.set([], first.file);
+  rest.forEach(({ file, data }) => {
+    result = merger.merge(result, data, [], file);
+  });
+
+  return { data: result, conflicts: [...merger.conflicts.values()] };
+};
+
+module.exports = { ARRAY_STRATEGIES, parseArrayStrategy, mergeDocuments };
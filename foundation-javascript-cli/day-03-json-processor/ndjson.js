@@ -0,0 +1,89 @@
+/**
+ * NDJSON / JSON Lines streaming for the JSON processor (--ndjson)
+ *
+ * Records are parsed one line at a time, so memory use stays flat no matter
+ * how large the export is. Blank lines are skipped and malformed lines are
+ * yielded as errors with their line number instead of aborting the run.
+ */
+
+const readline = require('readline');
+const { findSyntaxError, getLineColumn } = require('./json-errors');
+
+// Number of keys listed in the key coverage section of --stats
+const TOP_KEYS_LIMIT = 10;
+
+/**
+ * One-line version of describeJsonError: a record is a single line, so the
+ * column is enough to locate the problem.
+ */
+const describeLineError = (text, fallbackMessage) => {
+  const error = findSyntaxError(text);
+  if (!error) return fallbackMessage;
+
+  const { column } = getLineColumn(text, error.position);
+  return `${error.message} at column ${column}${error.hint ? ` (${error.hint})` : ''}`;
+};
+
+/**
+ * Yield { line, value } for every record and { line, error } for every malformed line.
+ */
+async function* readNdjson(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    const text = lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line;
+    if (text.trim() === '') continue;
+
+    let item;
+    try {
+      item = { line: lineNumber, value: JSON.parse(text) };
+    } catch (error) {
+      item = { line: lineNumber, error: describeLineError(text, error.message) };
+    }
+    yield item;
+  }
+}
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Running aggregation for --stats in NDJSON mode; only counters are kept,
+ * never the records themselves.
+ */
+class RecordStats {
+  constructor() {
+    this.count = 0;
+    this.objects = 0;
+    this.types = {};
+    this.keys = new Map();
+  }
+
+  add(value) {
+    const type = typeOf(value);
+    this.count += 1;
+    this.types[type] = (this.types[type] || 0) + 1;
+
+    if (type === 'object') {
+      this.objects += 1;
+      Object.keys(value).forEach((key) => this.keys.set(key, (this.keys.get(key) || 0) + 1));
+    }
+  }
+
+  summarize() {
+    const topKeys = [...this.keys.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_KEYS_LIMIT)
+      .map(([key, count]) => ({ key, count, coverage: count / this.objects }));
+
+    return {
+      count: this.count,
+      types: this.types,
+      distinctKeys: this.keys.size,
+      topKeys
+    };
+  }
+}
+
+module.exports = { readNdjson, describeLineError, RecordStats };
@@ -0,0 +1,188 @@
+/**
+ * Deep statistics for the JSON processor (--stats)
+ *
+ * - Node counts by type and the maximum nesting depth of the whole document
+ * - For an array of records, a profile of every field across all elements:
+ *   fill rate, distinct values, top values, and min/max/mean/median for
+ *   numbers and ISO 8601 dates
+ * Nested objects inside records are profiled field by field (address.city);
+ * arrays inside records are treated as single values.
+ */
+
+const { formatPath } = require('./query');
+
+// Number of most frequent values listed per field
+const TOP_VALUES_LIMIT = 5;
+
+const NODE_TYPES = ['object', 'array', 'string', 'number', 'boolean', 'null'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const isRecord = (value) => typeOf(value) === 'object';
+
+/**
+ * Count every node by type and find the deepest container nesting
+ * (a scalar has depth 0, {} or [] depth 1, {"a": []} depth 2).
+ */
+const measureStructure = (data) => {
+  const nodes = { total: 0 };
+  NODE_TYPES.forEach((type) => { nodes[type] = 0; });
+  let maxDepth = 0;
+
+  // Iterative so that very deep documents cannot overflow the stack
+  const stack = [[data, 0]];
+  while (stack.length > 0) {
+    const [value, depth] = stack.pop();
+    const type = typeOf(value);
+    nodes.total += 1;
+    nodes[type] += 1;
+
+    if (type === 'object' || type === 'array') {
+      maxDepth = Math.max(maxDepth, depth + 1);
+      Object.values(value).forEach((child) => stack.push([child, depth + 1]));
+    }
+  }
+
+  return { nodes, maxDepth };
+};
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const summarizeNumbers = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: median(sorted)
+  };
+};
+
+const summarizeDates = (timestamps) => {
+  const summary = summarizeNumbers(timestamps);
+  if (!summary) return null;
+  const toIso = (time) => new Date(Math.round(time)).toISOString();
+  return {
+    count: summary.count,
+    min: toIso(summary.min),
+    max: toIso(summary.max),
+    mean: toIso(summary.mean),
+    median: toIso(summary.median)
+  };
+};
+
+const parseDate = (text) => {
+  if (!ISO_DATE.test(text)) return null;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+};
+
+class FieldProfile {
+  constructor(segments) {
+    this.path = formatPath(segments);
+    this.present = 0;
+    this.nulls = 0;
+    this.empty = 0;
+    this.types = {};
+    this.values = new Map();
+    this.numbers = [];
+    this.dates = [];
+  }
+
+  add(value) {
+    const type = typeOf(value);
+    this.present += 1;
+    this.types[type] = (this.types[type] || 0) + 1;
+    if (type === 'null') this.nulls += 1;
+    if (value === '') this.empty += 1;
+    if (type === 'number') this.numbers.push(value);
+    if (type === 'string') {
+      const time = parseDate(value);
+      if (time !== null) this.dates.push(time);
+    }
+
+    // Keyed on the JSON text so that 1 and "1" stay distinct
+    const key = JSON.stringify(value);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      this.values.set(key, { value, count: 1 });
+    }
+  }
+
+  summarize(records) {
+    const filled = this.present - this.nulls - this.empty;
+    const top = [...this.values.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+      .slice(0, TOP_VALUES_LIMIT)
+      .map(([, entry]) => entry);
+
+    return {
+      path: this.path,
+      present: this.present,
+      missing: records - this.present,
+      null: this.nulls,
+      empty: this.empty,
+      fillRate: records === 0 ? 0 : filled / records,
+      types: this.types,
+      distinct: this.values.size,
+      top,
+      numbers: summarizeNumbers(this.numbers),
+      dates: summarizeDates(this.dates)
+    };
+  }
+}
+
+/**
+ * Profile every field of the object elements of an array, in first-seen order.
+ */
+const profileRecords = (items) => {
+  const fields = new Map();
+
+  const visit = (record, segments) => {
+    Object.entries(record).forEach(([key, value]) => {
+      const childSegments = [...segments, key];
+      // Non-empty objects are profiled field by field instead of as one value
+      if (isRecord(value) && Object.keys(value).length > 0) {
+        visit(value, childSegments);
+        return;
+      }
+      const id = JSON.stringify(childSegments);
+      if (!fields.has(id)) fields.set(id, new FieldProfile(childSegments));
+      fields.get(id).add(value);
+    });
+  };
+
+  const records = items.filter(isRecord);
+  records.forEach((record) => visit(record, []));
+
+  return {
+    records: records.length,
+    skipped: items.length - records.length,
+    fields: [...fields.values()].map((field) => field.summarize(records.length))
+  };
+};
+
+/**
+ * Build the full --stats profile. `fields` is only present for arrays that contain objects.
+ */
+const profileDocument = (data) => {
+  const type = typeOf(data);
+  const profile = { type };
+  if (type === 'array') profile.length = data.length;
+  if (type === 'object') profile.keys = Object.keys(data).length;
+  Object.assign(profile, measureStructure(data));
+
+  if (type === 'array' && data.some(isRecord)) Object.assign(profile, profileRecords(data));
+  return profile;
+};
+
+module.exports = { profileDocument, measureStructure, profileRecords };
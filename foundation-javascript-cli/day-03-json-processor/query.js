@@ -0,0 +1,451 @@
+/**
+ * JSONPath-style query engine for the JSON processor (--query)
+ *
+ * Supported syntax:
+ * - Optional root `$`, child names (`.users`) and bracketed names (`['first.name']`)
+ * - Wildcards (`users.*.email`, `items[*]`) and recursive descent (`..id`)
+ * - Indexes (`[0]`, `[-1]`), unions (`[0,2]`) and slices (`[0:5]`, `[::2]`)
+ * - Filters (`users[?(@.age > 30 && @.active)]`) with == != < <= > >= =~ ! && ||
+ * - Plain dot paths such as `users.0.email` keep working
+ */
+
+// Characters that end an unquoted name after "." or ".."
+const NAME_TERMINATORS = new Set(['.', '[', ']', '(', ')', ' ', '\t', '=', '!', '<', '>', '&', '|', ',']);
+
+class QueryParser {
+  // `kind` names the option in error messages: "query", "filter" or "path"
+  constructor(source, kind = 'query') {
+    this.source = source;
+    this.kind = kind;
+    this.pos = 0;
+  }
+
+  fail(message) {
+    throw new Error(`Invalid ${this.kind} "${this.source}" at position ${this.pos}: ${message}`);
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos += 1;
+  }
+
+  expect(text) {
+    this.skipSpaces();
+    if (!this.startsWith(text)) this.fail(`expected "${text}"`);
+    this.pos += text.length;
+  }
+
+  parse() {
+    this.skipSpaces();
+    const segments = [];
+
+    if (this.peek() === '$') {
+      this.pos += 1;
+    } else if (this.peek() !== '.' && this.peek() !== '[') {
+      // Bare leading name: "users.*.email" means "$.users.*.email"
+      segments.push({ descendant: false, selectors: [this.parseDotSelector()] });
+    }
+
+    segments.push(...this.parseSegments());
+    this.skipSpaces();
+    if (this.pos < this.source.length) this.fail(`unexpected "${this.peek()}"`);
+    return segments;
+  }
+
+  parseSegments() {
+    const segments = [];
+
+    for (;;) {
+      if (this.startsWith('..')) {
+        this.pos += 2;
+        const selectors = this.peek() === '[' ? this.parseBracket() : [this.parseDotSelector()];
+        segments.push({ descendant: true, selectors });
+      } else if (this.peek() === '.') {
+        this.pos += 1;
+        segments.push({ descendant: false, selectors: [this.parseDotSelector()] });
+      } else if (this.peek() === '[') {
+        segments.push({ descendant: false, selectors: this.parseBracket() });
+      } else {
+        return segments;
+      }
+    }
+  }
+
+  parseDotSelector() {
+    if (this.peek() === '*') {
+      this.pos += 1;
+      return { kind: 'wildcard' };
+    }
+
+    const start = this.pos;
+    while (this.pos < this.source.length && !NAME_TERMINATORS.has(this.peek())) this.pos += 1;
+    if (this.pos === start) this.fail('expected a name');
+    return { kind: 'name', name: this.source.slice(start, this.pos) };
+  }
+
+  parseBracket() {
+    this.expect('[');
+    const selectors = [];
+
+    for (;;) {
+      this.skipSpaces();
+      selectors.push(this.parseBracketSelector());
+      this.skipSpaces();
+      if (this.peek() !== ',') break;
+      this.pos += 1;
+    }
+
+    this.expect(']');
+    return selectors;
+  }
+
+  parseBracketSelector() {
+    const char = this.peek();
+
+    if (char === '\'' || char === '"') return { kind: 'name', name: this.parseString() };
+
+    if (char === '*') {
+      this.pos += 1;
+      return { kind: 'wildcard' };
+    }
+
+    if (char === '?') {
+      this.pos += 1;
+      return { kind: 'filter', expression: this.parseOr() };
+    }
+
+    const start = this.parseInteger();
+    this.skipSpaces();
+    if (this.peek() !== ':') {
+      if (start === null) this.fail('expected a name, index, slice, * or filter');
+      return { kind: 'index', index: start };
+    }
+
+    this.pos += 1;
+    const end = this.parseInteger();
+    let step = null;
+    this.skipSpaces();
+    if (this.peek() === ':') {
+      this.pos += 1;
+      step = this.parseInteger();
+      if (step === 0) this.fail('slice step cannot be 0');
+    }
+    return { kind: 'slice', start, end, step };
+  }
+
+  parseInteger() {
+    this.skipSpaces();
+    const match = this.source.slice(this.pos).match(/^-?\d+/);
+    if (!match) return null;
+    this.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  parseString() {
+    const quote = this.peek();
+    let value = '';
+    this.pos += 1;
+
+    while (this.pos < this.source.length && this.peek() !== quote) {
+      if (this.peek() === '\\') {
+        this.pos += 1;
+        const escaped = this.peek();
+        value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+      } else {
+        value += this.peek();
+      }
+      this.pos += 1;
+    }
+
+    if (this.peek() !== quote) this.fail('unterminated string');
+    this.pos += 1;
+    return value;
+  }
+
+  // --- Filter expressions: or := and ('||' and)*, and := unary ('&&' unary)* ---
+
+  parseOr() {
+    let left = this.parseAnd();
+    for (this.skipSpaces(); this.startsWith('||'); this.skipSpaces()) {
+      this.pos += 2;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    for (this.skipSpaces(); this.startsWith('&&'); this.skipSpaces()) {
+      this.pos += 2;
+      left = { type: 'and', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    this.skipSpaces();
+    if (this.peek() === '!' && this.peek(1) !== '=') {
+      this.pos += 1;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    this.skipSpaces();
+    const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find((op) => this.startsWith(op));
+    if (!operator) return left;
+    this.pos += operator.length;
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseOperand() {
+    this.skipSpaces();
+    const char = this.peek();
+
+    if (char === '(') {
+      this.pos += 1;
+      const expression = this.parseOr();
+      this.expect(')');
+      return expression;
+    }
+
+    if (char === '@' || char === '$') {
+      this.pos += 1;
+      return { type: 'path', root: char, segments: this.parseSegments() };
+    }
+
+    if (char === '\'' || char === '"') return { type: 'literal', value: this.parseString() };
+
+    if (char === '/') return { type: 'literal', value: this.parseRegex() };
+
+    const match = this.source.slice(this.pos).match(/^(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!match) this.fail('expected a value, @path, $path or (expression)');
+    this.pos += match[0].length;
+    return { type: 'literal', value: JSON.parse(match[0]) };
+  }
+
+  parseRegex() {
+    const start = this.pos;
+    this.pos += 1;
+    while (this.pos < this.source.length && this.peek() !== '/') {
+      if (this.peek() === '\\') this.pos += 1;
+      this.pos += 1;
+    }
+    if (this.peek() !== '/') this.fail('unterminated regular expression');
+    const pattern = this.source.slice(start + 1, this.pos);
+    this.pos += 1;
+    // Stateful flags (g, y) would make RegExp#test depend on the previous match
+    const flags = this.source.slice(this.pos).match(/^[imsu]*/)[0];
+    this.pos += flags.length;
+    return new RegExp(pattern, flags);
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const normalizeIndex = (index, length) => (index < 0 ? length + index : index);
+
+/**
+ * Python-style slice: negative bounds count from the end, a negative step walks backwards.
+ */
+const sliceArray = (array, { start, end, step }) => {
+  const length = array.length;
+  const stride = step === null ? 1 : step;
+  const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+  const result = [];
+
+  if (stride > 0) {
+    const from = start === null ? 0 : clamp(normalizeIndex(start, length), 0, length);
+    const to = end === null ? length : clamp(normalizeIndex(end, length), 0, length);
+    for (let i = from; i < to; i += stride) result.push(array[i]);
+  } else {
+    const from = start === null ? length - 1 : clamp(normalizeIndex(start, length), -1, length - 1);
+    const to = end === null ? -1 : clamp(normalizeIndex(end, length), -1, length - 1);
+    for (let i = from; i > to; i += stride) result.push(array[i]);
+  }
+
+  return result;
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const compare = (operator, left, right) => {
+  if (left === undefined || right === undefined) return operator === '!=' && left !== right;
+
+  switch (operator) {
+    case '==': return deepEqual(left, right);
+    case '!=': return !deepEqual(left, right);
+    case '=~': {
+      if (typeof left !== 'string') return false;
+      const regex = right instanceof RegExp ? right : new RegExp(String(right));
+      return regex.test(left);
+    }
+    default: {
+      const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) return false;
+      if (operator === '<') return left < right;
+      if (operator === '<=') return left <= right;
+      if (operator === '>') return left > right;
+      return left >= right;
+    }
+  }
+};
+
+const evaluateValue = (node, current, root) => {
+  if (node.type === 'literal') return node.value;
+  if (node.type === 'path') {
+    const matches = applySegments([node.root === '@' ? current : root], node.segments, root);
+    return matches.length > 0 ? matches[0] : undefined;
+  }
+  return evaluateFilter(node, current, root);
+};
+
+const evaluateFilter = (node, current, root) => {
+  switch (node.type) {
+    case 'or': return evaluateFilter(node.left, current, root) || evaluateFilter(node.right, current, root);
+    case 'and': return evaluateFilter(node.left, current, root) && evaluateFilter(node.right, current, root);
+    case 'not': return !evaluateFilter(node.operand, current, root);
+    case 'compare': {
+      return compare(node.operator, evaluateValue(node.left, current, root), evaluateValue(node.right, current, root));
+    }
+    case 'path': return evaluateValue(node, current, root) !== undefined;
+    default: return Boolean(node.value);
+  }
+};
+
+const applySelector = (value, selector, output, root) => {
+  switch (selector.kind) {
+    case 'name':
+      // Numeric names index arrays so "users.0.email" keeps its dot-path meaning
+      if (Array.isArray(value) && /^-?\d+$/.test(selector.name)) {
+        const item = value[normalizeIndex(Number(selector.name), value.length)];
+        if (item !== undefined) output.push(item);
+      } else if (isObject(value) && Object.prototype.hasOwnProperty.call(value, selector.name)) {
+        output.push(value[selector.name]);
+      }
+      break;
+
+    case 'wildcard':
+      if (Array.isArray(value)) output.push(...value);
+      else if (isObject(value)) output.push(...Object.values(value));
+      break;
+
+    case 'index':
+      if (Array.isArray(value)) {
+        const item = value[normalizeIndex(selector.index, value.length)];
+        if (item !== undefined) output.push(item);
+      }
+      break;
+
+    case 'slice':
+      if (Array.isArray(value)) output.push(...sliceArray(value, selector));
+      break;
+
+    case 'filter': {
+      const candidates = Array.isArray(value) ? value : (isObject(value) ? Object.values(value) : []);
+      candidates.forEach((item) => {
+        if (evaluateFilter(selector.expression, item, root)) output.push(item);
+      });
+      break;
+    }
+
+    default:
+      break;
+  }
+};
+
+/**
+ * The value itself plus every nested object/array, in document order.
+ */
+const collectDescendants = (value, output = []) => {
+  output.push(value);
+  if (Array.isArray(value)) value.forEach((item) => collectDescendants(item, output));
+  else if (isObject(value)) Object.values(value).forEach((item) => collectDescendants(item, output));
+  return output;
+};
+
+const applySegments = (nodes, segments, root) => {
+  return segments.reduce((current, segment) => {
+    const output = [];
+    current.forEach((node) => {
+      const targets = segment.descendant ? collectDescendants(node) : [node];
+      targets.forEach((target) => {
+        segment.selectors.forEach((selector) => applySelector(target, selector, output, root));
+      });
+    });
+    return output;
+  }, nodes);
+};
+
+/**
+ * Parse a query once so it can be run against many documents (e.g. NDJSON records).
+ */
+const compileQuery = (expression) => {
+  const segments = new QueryParser(expression).parse();
+  return (data) => applySegments([data], segments, data);
+};
+
+/**
+ * Return every value in `data` matched by `expression`, in document order.
+ */
+const runQuery = (data, expression) => compileQuery(expression)(data);
+
+/**
+ * Compile a standalone filter expression ("@.level == 'error' && @.ms > 500") into a
+ * predicate. Both `@` and `$` refer to the value being tested.
+ */
+const compileFilter = (expression) => {
+  const parser = new QueryParser(expression, 'filter');
+  const node = parser.parseOr();
+  parser.skipSpaces();
+  if (parser.pos < expression.length) parser.fail(`unexpected "${parser.peek()}"`);
+  return (value) => Boolean(evaluateFilter(node, value, value));
+};
+
+/**
+ * Format path segments (keys and array indexes) in the notation --path and --query
+ * accept: "users.0.email", with keys that are not plain identifiers bracketed
+ * ("config['db.host']"). The document root is "$".
+ */
+const formatPath = (segments) => {
+  if (segments.length === 0) return '$';
+  return segments.reduce((result, segment, index) => {
+    const text = String(segment);
+    if (typeof segment === 'number' && segment < 0) return `${result}[${text}]`;
+    if (/^[A-Za-z_][\w-]*$/.test(text) || /^\d+$/.test(text)) {
+      return index === 0 ? text : `${result}.${text}`;
+    }
+    return `${result}['${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+  }, '');
+};
+
+/**
+ * Parse a path that names exactly one location ("users.0.email", "config['db.host']",
+ * "items[-1]") into keys and indexes. Wildcards, unions, slices, filters and ".." are rejected.
+ */
+const parsePath = (expression) => {
+  const segments = new QueryParser(expression, 'path').parse();
+  return segments.map((segment) => {
+    const [selector] = segment.selectors;
+    if (segment.descendant || segment.selectors.length !== 1 || (selector.kind !== 'name' && selector.kind !== 'index')) {
+      throw new Error(`Invalid path "${expression}": only names and indexes are allowed, not wildcards, unions, slices, filters or ".."`);
+    }
+    return selector.kind === 'name' ? selector.name : selector.index;
+  });
+};
+
+module.exports = { compileQuery, compileFilter, runQuery, formatPath, parsePath };
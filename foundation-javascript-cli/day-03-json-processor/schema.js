@@ -0,0 +1,327 @@
+/**
+ * JSON Schema validation for the JSON processor (--schema)
+ *
+ * Implements the draft 2020-12 core and validation keywords needed to gate
+ * fixture files in CI without a separate validator:
+ * - type, enum, const
+ * - properties, patternProperties, additionalProperties, propertyNames, required,
+ *   dependentRequired, minProperties, maxProperties
+ * - prefixItems, items, contains (+ minContains/maxContains), minItems, maxItems, uniqueItems
+ * - minLength, maxLength, pattern
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - allOf, anyOf, oneOf, not, if/then/else
+ * - $ref to "#", "#/json/pointer" and "#anchor" within the same schema ($defs / definitions)
+ *
+ * Every violation is collected rather than stopping at the first one.
+ */
+
+const { formatPath } = require('./query');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+const preview = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+// String length in code points, as the spec requires (not UTF-16 units)
+const stringLength = (value) => [...value].length;
+
+/**
+ * Resolve a local $ref ("#", "#/a/b", "#anchor") against the root schema.
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref "${ref}": only references within the same schema (starting with #) are supported`);
+  }
+
+  const fragment = decodeURIComponent(ref.slice(1));
+
+  if (fragment === '' || fragment.startsWith('/')) {
+    return fragment.split('/').slice(1).reduce((node, token) => {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (node === undefined || node === null || !Object.prototype.hasOwnProperty.call(node, key)) {
+        throw new Error(`Cannot resolve $ref "${ref}"`);
+      }
+      return node[key];
+    }, root);
+  }
+
+  // Plain-name fragment: find the subschema declaring a matching $anchor
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (isObject(node) && node.$anchor === fragment) return node;
+    if (node && typeof node === 'object') stack.push(...Object.values(node));
+  }
+  throw new Error(`Cannot resolve $ref "${ref}": no $anchor "${fragment}"`);
+};
+
+class SchemaValidator {
+  constructor(rootSchema) {
+    this.root = rootSchema;
+    // $ref + instance location pairs currently being evaluated, to stop ref cycles that consume no data
+    this.activeRefs = new Set();
+  }
+
+  /**
+   * Validate `value` against `schema`, returning a list of violations.
+   */
+  validate(value, schema, instancePath = [], schemaPath = '#') {
+    if (schema === true) return [];
+    if (schema === false) {
+      return [this.error(instancePath, 'false', `${schemaPath}`, 'no value is allowed here')];
+    }
+    if (!isObject(schema)) {
+      throw new Error(`Invalid schema at ${schemaPath}: expected an object or boolean`);
+    }
+
+    const errors = [];
+    const check = (keyword, validator) => {
+      if (schema[keyword] !== undefined) errors.push(...validator(schema[keyword], `${schemaPath}/${keyword}`));
+    };
+
+    check('$ref', (ref, at) => this.validateRef(value, ref, instancePath, at));
+    check('type', (type, at) => this.validateType(value, type, instancePath, at));
+    check('enum', (options, at) => (options.some((option) => deepEqual(option, value))
+      ? []
+      : [this.error(instancePath, 'enum', at, `${preview(value)} is not one of ${preview(options)}`)]));
+    check('const', (expected, at) => (deepEqual(expected, value)
+      ? []
+      : [this.error(instancePath, 'const', at, `${preview(value)} is not equal to ${preview(expected)}`)]));
+
+    if (typeof value === 'number') errors.push(...this.validateNumber(value, schema, instancePath, schemaPath));
+    if (typeof value === 'string') errors.push(...this.validateString(value, schema, instancePath, schemaPath));
+    if (Array.isArray(value)) errors.push(...this.validateArray(value, schema, instancePath, schemaPath));
+    if (isObject(value)) errors.push(...this.validateObject(value, schema, instancePath, schemaPath));
+
+    errors.push(...this.validateCombinators(value, schema, instancePath, schemaPath));
+    return errors;
+  }
+
+  error(instancePath, keyword, schemaPath, message) {
+    return { path: formatPath(instancePath), keyword, schemaPath, message };
+  }
+
+  validateRef(value, ref, instancePath, schemaPath) {
+    const key = `${ref}@${formatPath(instancePath)}`;
+    if (this.activeRefs.has(key)) return [];
+
+    this.activeRefs.add(key);
+    try {
+      return this.validate(value, resolveRef(this.root, ref), instancePath, ref);
+    } finally {
+      this.activeRefs.delete(key);
+    }
+  }
+
+  validateType(value, type, instancePath, schemaPath) {
+    const types = Array.isArray(type) ? type : [type];
+    if (types.some((candidate) => matchesType(value, candidate))) return [];
+    return [this.error(instancePath, 'type', schemaPath, `expected ${types.join(' or ')} but got ${typeOf(value)}`)];
+  }
+
+  validateNumber(value, schema, instancePath, schemaPath) {
+    const errors = [];
+    const fail = (keyword, message) => errors.push(this.error(instancePath, keyword, `${schemaPath}/${keyword}`, message));
+
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `${value} is less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `${value} is greater than ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `${value} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `${value} must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      // Tolerate floating point noise such as 0.3 / 0.1 = 2.9999999999999996
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail('multipleOf', `${value} is not a multiple of ${schema.multipleOf}`);
+    }
+
+    return errors;
+  }
+
+  validateString(value, schema, instancePath, schemaPath) {
+    const errors = [];
+    const fail = (keyword, message) => errors.push(this.error(instancePath, keyword, `${schemaPath}/${keyword}`, message));
+    const length = stringLength(value);
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `length ${length} is shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `length ${length} is longer than ${schema.maxLength}`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `${preview(value)} does not match pattern ${JSON.stringify(schema.pattern)}`);
+    }
+
+    return errors;
+  }
+
+  validateArray(value, schema, instancePath, schemaPath) {
+    const errors = [];
+    const fail = (keyword, message) => errors.push(this.error(instancePath, keyword, `${schemaPath}/${keyword}`, message));
+    const prefixItems = schema.prefixItems || [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `${value.length} items, expected at least ${schema.minItems}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `${value.length} items, expected at most ${schema.maxItems}`);
+    }
+    if (schema.uniqueItems === true) {
+      const duplicate = value.findIndex((item, index) => value.slice(0, index).some((other) => deepEqual(item, other)));
+      if (duplicate !== -1) fail('uniqueItems', `item ${duplicate} is a duplicate`);
+    }
+
+    value.forEach((item, index) => {
+      const itemPath = [...instancePath, index];
+      if (index < prefixItems.length) {
+        errors.push(...this.validate(item, prefixItems[index], itemPath, `${schemaPath}/prefixItems/${index}`));
+      } else if (schema.items !== undefined) {
+        errors.push(...this.validate(item, schema.items, itemPath, `${schemaPath}/items`));
+      }
+    });
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item, index) => {
+        return this.validate(item, schema.contains, [...instancePath, index], `${schemaPath}/contains`).length === 0;
+      }).length;
+      const minContains = schema.minContains !== undefined ? schema.minContains : 1;
+      if (matches < minContains) {
+        fail('contains', `${matches} items match "contains", expected at least ${minContains}`);
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        fail('maxContains', `${matches} items match "contains", expected at most ${schema.maxContains}`);
+      }
+    }
+
+    return errors;
+  }
+
+  validateObject(value, schema, instancePath, schemaPath) {
+    const errors = [];
+    const fail = (keyword, message, path = instancePath) => {
+      errors.push(this.error(path, keyword, `${schemaPath}/${keyword}`, message));
+    };
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {}).map((pattern) => ({ pattern, regex: new RegExp(pattern, 'u') }));
+
+    (schema.required || []).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) fail('required', `missing required property "${key}"`);
+    });
+
+    Object.entries(schema.dependentRequired || {}).forEach(([key, dependencies]) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) return;
+      dependencies
+        .filter((dependency) => !Object.prototype.hasOwnProperty.call(value, dependency))
+        .forEach((dependency) => fail('dependentRequired', `"${dependency}" is required when "${key}" is present`));
+    });
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `${keys.length} properties, expected at least ${schema.minProperties}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `${keys.length} properties, expected at most ${schema.maxProperties}`);
+    }
+
+    keys.forEach((key) => {
+      const propertyPath = [...instancePath, key];
+      let evaluated = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        evaluated = true;
+        errors.push(...this.validate(value[key], properties[key], propertyPath, `${schemaPath}/properties/${key}`));
+      }
+
+      patterns.filter(({ regex }) => regex.test(key)).forEach(({ pattern }) => {
+        evaluated = true;
+        errors.push(...this.validate(value[key], schema.patternProperties[pattern], propertyPath, `${schemaPath}/patternProperties/${pattern}`));
+      });
+
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', `property "${key}" is not allowed`, propertyPath);
+        } else {
+          errors.push(...this.validate(value[key], schema.additionalProperties, propertyPath, `${schemaPath}/additionalProperties`));
+        }
+      }
+
+      if (schema.propertyNames !== undefined) {
+        const nameErrors = this.validate(key, schema.propertyNames, propertyPath, `${schemaPath}/propertyNames`);
+        if (nameErrors.length > 0) fail('propertyNames', `property name "${key}" is invalid: ${nameErrors[0].message}`, propertyPath);
+      }
+    });
+
+    return errors;
+  }
+
+  validateCombinators(value, schema, instancePath, schemaPath) {
+    const errors = [];
+    const passes = (subschema, at) => this.validate(value, subschema, instancePath, at).length === 0;
+
+    if (schema.allOf !== undefined) {
+      schema.allOf.forEach((subschema, index) => {
+        errors.push(...this.validate(value, subschema, instancePath, `${schemaPath}/allOf/${index}`));
+      });
+    }
+
+    if (schema.anyOf !== undefined && !schema.anyOf.some((subschema, index) => passes(subschema, `${schemaPath}/anyOf/${index}`))) {
+      errors.push(this.error(instancePath, 'anyOf', `${schemaPath}/anyOf`, `does not match any of the ${schema.anyOf.length} allowed schemas`));
+    }
+
+    if (schema.oneOf !== undefined) {
+      const matching = schema.oneOf.filter((subschema, index) => passes(subschema, `${schemaPath}/oneOf/${index}`)).length;
+      if (matching !== 1) {
+        const message = matching === 0
+          ? `does not match any of the ${schema.oneOf.length} allowed schemas`
+          : `matches ${matching} schemas, expected exactly one`;
+        errors.push(this.error(instancePath, 'oneOf', `${schemaPath}/oneOf`, message));
+      }
+    }
+
+    if (schema.not !== undefined && passes(schema.not, `${schemaPath}/not`)) {
+      errors.push(this.error(instancePath, 'not', `${schemaPath}/not`, 'matches a schema it must not match'));
+    }
+
+    if (schema.if !== undefined) {
+      const branch = passes(schema.if, `${schemaPath}/if`) ? 'then' : 'else';
+      if (schema[branch] !== undefined) {
+        errors.push(...this.validate(value, schema[branch], instancePath, `${schemaPath}/${branch}`));
+      }
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Validate `data` against `schema`. Returns every violation as
+ * { path, keyword, schemaPath, message }; an empty array means the document is valid.
+ */
+const validateSchema = (data, schema) => new SchemaValidator(schema).validate(data, schema);
+
+module.exports = { validateSchema };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const USERS = [
+  { name: 'Ada', age: 36, active: true, address: { city: 'London' } },
+  { name: 'Linus', age: 54, active: false, address: { city: 'Portland' } }
+];
+const CONFIG = { title: 'app', server: { port: 8080, hosts: ['a', 'b'], tls: false }, ratio: 0.75 };
+
+/**
+ * Convert `data` to `format` with --output, then load the converted file back as JSON.
+ */
+const roundTrip = (dir, data, format, extension = format) => {
+  const input = writeFile(dir, 'input.json', data);
+  const output = path.join(dir, `output.${extension}`);
+
+  const saved = run(input, '--to', format, '--output', output, '--raw');
+  assert.strictEqual(saved.status, 0, `${format}: ${saved.stderr}`);
+
+  const loaded = run(output, '--raw', '--minify');
+  assert.strictEqual(loaded.status, 0, `${format}: ${loaded.stderr}`);
+  return JSON.parse(loaded.stdout);
+};
+
+test('records survive a round trip through CSV, YAML and NDJSON', () => {
+  withTempDir((dir) => {
+    assert.deepStrictEqual(roundTrip(dir, USERS, 'csv'), USERS);
+    assert.deepStrictEqual(roundTrip(dir, USERS, 'yaml', 'yml'), USERS);
+    assert.deepStrictEqual(roundTrip(dir, USERS, 'ndjson'), USERS);
+  });
+});
+
+test('nested objects survive a round trip through YAML and TOML', () => {
+  withTempDir((dir) => {
+    assert.deepStrictEqual(roundTrip(dir, CONFIG, 'yaml'), CONFIG);
+    assert.deepStrictEqual(roundTrip(dir, CONFIG, 'toml'), CONFIG);
+  });
+});
+
+test('values a format cannot represent are refused instead of being dropped', () => {
+  withTempDir((dir) => {
+    const records = writeFile(dir, 'records.json', USERS);
+    const toml = run(records, '--to', 'toml');
+    assert.strictEqual(toml.status, 1);
+    assert.match(toml.stderr, /Cannot convert to TOML: the document root must be an object/);
+
+    const withNull = writeFile(dir, 'null.json', { key: null });
+    const nullToml = run(withNull, '--to', 'toml');
+    assert.strictEqual(nullToml.status, 1);
+    assert.match(nullToml.stderr, /key is null, which TOML cannot represent/);
+  });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const CONFIG = { name: 'app', servers: ['a', 'b'], flags: { beta: true } };
+
+test('--set and --delete edit the file in place', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'config.json', CONFIG);
+
+    const result = run(filePath, '--set', 'flags.beta=false', '--delete', 'servers[-1]', '--raw');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), {
+      name: 'app', servers: ['a'], flags: { beta: false }
+    });
+  });
+});
+
+test('--delete of a missing path exits with code 4 and leaves the file untouched', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'config.json', CONFIG);
+    const before = fs.readFileSync(filePath, 'utf8');
+
+    const result = run(filePath, '--delete', 'flags.alpha');
+    assert.strictEqual(result.status, 4);
+    assert.match(result.stderr, /--delete flags\.alpha: Path not found: flags\.alpha/);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+  });
+});
+
+test('--patch applies RFC 6902 operations and RFC 7396 merge patches', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'config.json', CONFIG);
+    const jsonPatch = writeFile(dir, 'ops.json', [
+      { op: 'add', path: '/servers/-', value: 'c' },
+      { op: 'move', from: '/name', path: '/title' },
+      { op: 'test', path: '/flags/beta', value: true }
+    ]);
+    const mergePatch = writeFile(dir, 'merge.json', { flags: { beta: null, gamma: 1 } });
+
+    const result = run(filePath, '--patch', jsonPatch, '--patch', mergePatch, '--raw');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), {
+      servers: ['a', 'b', 'c'], flags: { gamma: 1 }, title: 'app'
+    });
+  });
+});
+
+test('a failing JSON Patch operation aborts the whole patch', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'config.json', CONFIG);
+    const before = fs.readFileSync(filePath, 'utf8');
+    const jsonPatch = writeFile(dir, 'ops.json', [
+      { op: 'replace', path: '/name', value: 'renamed' },
+      { op: 'test', path: '/flags/beta', value: false }
+    ]);
+
+    const result = run(filePath, '--patch', jsonPatch);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Patch operation 1 \(test \/flags\/beta\) failed/);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+  });
+});
@@ -0,0 +1,34 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+/**
+ * Run the CLI with the given arguments and return spawnSync's result (status, stdout, stderr).
+ */
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+/**
+ * Call back with a fresh temporary directory, then remove it.
+ */
+const withTempDir = (callback) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-processor-'));
+  try {
+    callback(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Write `content` to `name` inside `dir` (values that are not strings as JSON) and return its path.
+ */
+const writeFile = (dir, name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return filePath;
+};
+
+module.exports = { run, withTempDir, writeFile };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { run, withTempDir } = require('./helpers');
+
+const JSONC = `{
+  // Compiler settings
+  compilerOptions: {
+    target: 'es2022',
+    strict: true,
+  },
+}
+`;
+
+test('edits to --loose input are refused without --output and leave the file untouched', () => {
+  withTempDir((dir) => {
+    const filePath = path.join(dir, 'tsconfig.json');
+    fs.writeFileSync(filePath, JSONC);
+
+    const result = run(filePath, '--loose', '--set', 'compilerOptions.strict=false');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /--loose input need --output/);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), JSONC);
+  });
+});
+
+test('edits to --loose input are saved as plain JSON with --output', () => {
+  withTempDir((dir) => {
+    const filePath = path.join(dir, 'tsconfig.json');
+    const outputPath = path.join(dir, 'tsconfig.out.json');
+    fs.writeFileSync(filePath, JSONC);
+
+    const result = run(filePath, '--loose', '--set', 'compilerOptions.strict=false', '--output', outputPath);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), JSONC);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(outputPath, 'utf8')), {
+      compilerOptions: { target: 'es2022', strict: false }
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const EVENTS = [
+  { level: 'info', ms: 12, url: '/' },
+  { level: 'error', ms: 840, url: '/checkout' },
+  { level: 'error', ms: 90, url: '/login' }
+].map((event) => JSON.stringify(event)).join('\n');
+
+test('--filter keeps matching records and --path runs on each of them', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'events.ndjson', `${EVENTS}\n`);
+
+    const result = run(filePath, '--ndjson', '--filter', "@.level == 'error' && @.ms > 500", '--path', 'url', '--raw');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '"/checkout"\n');
+  });
+});
+
+test('an invalid --filter is reported as a filter, with the expression quoted', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'events.ndjson', `${EVENTS}\n`);
+
+    const result = run(filePath, '--ndjson', '--filter', '@.level ==');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid filter "@\.level ==" at position 10/);
+    assert.doesNotMatch(result.stderr, /Invalid query/);
+  });
+});
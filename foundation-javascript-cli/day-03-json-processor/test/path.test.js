@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const BEFORE = { o: { 'k.1': 1, 'a b': 2 }, list: [1, 2] };
+const AFTER = { o: { 'k.1': 5, 'a b': 3 }, list: [1, 3] };
+
+test('paths printed by diff can be passed back to --path', () => {
+  withTempDir((dir) => {
+    const before = writeFile(dir, 'before.json', BEFORE);
+    const after = writeFile(dir, 'after.json', AFTER);
+
+    const diff = run('diff', before, after);
+    const paths = [...diff.stdout.matchAll(/^~ (.+): /gm)].map((match) => match[1]);
+    assert.deepStrictEqual(paths, ["o['k.1']", "o['a b']", 'list.1']);
+
+    const values = paths.map((where) => run(after, '--path', where, '--raw').stdout.trim());
+    assert.deepStrictEqual(values, ['5', '3', '3']);
+  });
+});
+
+test('--path accepts bracketed indexes, negative indexes and the root', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'data.json', BEFORE);
+
+    assert.strictEqual(run(filePath, '--path', 'list[1]', '--raw').stdout, '2\n');
+    assert.strictEqual(run(filePath, '--path', 'list[-1]', '--raw').stdout, '2\n');
+    assert.deepStrictEqual(JSON.parse(run(filePath, '--path', '$', '--raw').stdout), BEFORE);
+  });
+});
+
+test('--path reports missing keys with exit code 4 and rejects wildcards', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'data.json', BEFORE);
+
+    const missing = run(filePath, '--path', 'o.constructor', '--raw');
+    assert.strictEqual(missing.status, 4);
+    assert.match(missing.stderr, /Path "o.constructor" not found/);
+
+    const wildcard = run(filePath, '--path', 'list[*]');
+    assert.strictEqual(wildcard.status, 1);
+    assert.match(wildcard.stderr, /Invalid path "list\[\*\]"/);
+  });
+});
+
+test('--ndjson resolves bracketed --path keys in every record', () => {
+  withTempDir((dir) => {
+    const filePath = writeFile(dir, 'events.ndjson', '{"o":{"k.1":7}}\n{"o":{}}\n{"o":{"k.1":"x"}}\n');
+
+    const result = run(filePath, '--ndjson', '--path', "o['k.1']", '--raw');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '7\n"x"\n');
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const DATA = {
+  users: [
+    { name: 'Ada', age: 36, email: 'ada@x.io', team: { name: 'core' } },
+    { name: 'Bob', age: 25, email: 'bob@y.io' },
+    { name: 'Cy', age: 41, active: true, email: 'cy@x.io' }
+  ]
+};
+
+const query = (expression) => {
+  let matches;
+  withTempDir((dir) => {
+    const result = run(writeFile(dir, 'data.json', DATA), '--query', expression, '--raw');
+    assert.strictEqual(result.status, 0, result.stderr);
+    matches = JSON.parse(result.stdout);
+  });
+  return matches;
+};
+
+test('--query supports wildcards, indexes, unions and slices', () => {
+  assert.deepStrictEqual(query('users.*.name'), ['Ada', 'Bob', 'Cy']);
+  assert.deepStrictEqual(query('$.users[-1].name'), ['Cy']);
+  assert.deepStrictEqual(query('users[0,2].age'), [36, 41]);
+  assert.deepStrictEqual(query('users[::2].name'), ['Ada', 'Cy']);
+  assert.deepStrictEqual(query("users[0]['email']"), ['ada@x.io']);
+});
+
+test('--query supports recursive descent', () => {
+  assert.deepStrictEqual(query('..name'), ['Ada', 'core', 'Bob', 'Cy']);
+});
+
+test('--query filters compare, combine and match regular expressions', () => {
+  assert.deepStrictEqual(query('users[?(@.age > 30)].email'), ['ada@x.io', 'cy@x.io']);
+  assert.deepStrictEqual(query('users[?(@.age > 30 && @.active)].name'), ['Cy']);
+  assert.deepStrictEqual(query('users[?(@.email =~ /@y\\.io$/)].name'), ['Bob']);
+  assert.deepStrictEqual(query('users[?(!@.active)].name'), ['Ada', 'Bob']);
+});
+
+test('a query that matches nothing prints an empty array', () => {
+  assert.deepStrictEqual(query('users[?(@.age > 99)]'), []);
+});
+
+test('an invalid query is reported with its position', () => {
+  withTempDir((dir) => {
+    const result = run(writeFile(dir, 'data.json', DATA), '--query', 'users[');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid query "users\[" at position 6/);
+  });
+});
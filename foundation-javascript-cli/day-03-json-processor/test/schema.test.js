@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { run, withTempDir, writeFile } = require('./helpers');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['name', 'age'],
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+};
+
+const validate = (data, ...args) => {
+  let result;
+  withTempDir((dir) => {
+    const schemaPath = writeFile(dir, 'schema.json', SCHEMA);
+    result = run(writeFile(dir, 'data.json', data), '--schema', schemaPath, ...args);
+  });
+  return result;
+};
+
+test('a valid document passes with exit code 0', () => {
+  const result = validate({ name: 'Ada', age: 36, tags: ['admin'] });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /✅ Document is valid against .*schema\.json/);
+});
+
+test('every violation is listed with its path and keyword, and the exit code is 2', () => {
+  const result = validate({ name: 'A', age: -1, tags: ['x', 3], extra: true });
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stdout, /❌ 4 violations against .*schema\.json/);
+  assert.match(result.stdout, /- name \[minLength\]: length 1 is shorter than 2/);
+  assert.match(result.stdout, /- age \[minimum\]: -1 is less than 0/);
+  assert.match(result.stdout, /- tags\.1 \[type\]: expected string but got number/);
+  assert.match(result.stdout, /- extra \[additionalProperties\]: property "extra" is not allowed/);
+});
+
+test('missing required properties are violations', () => {
+  const result = validate({ name: 'Ada' });
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stdout, /\[required\]/);
+  assert.match(result.stdout, /age/);
+});
+
+test('schema violations take precedence over a missing --path', () => {
+  const result = validate({ name: 'A', age: 1 }, '--path', 'missing');
+  assert.strictEqual(result.status, 2);
+});
@@ -0,0 +1,426 @@
+/**
+ * TOML conversion for the JSON processor (--to toml / --from toml)
+ *
+ * Import follows TOML 1.0: bare, quoted and dotted keys, [tables], [[arrays of
+ * tables]], inline tables, multi-line arrays, all four string kinds, integers
+ * (decimal, hex, octal, binary, with underscores), floats and booleans.
+ * Dates and times have no JSON type and become strings; inf/nan and integers
+ * beyond 2^53 are rejected.
+ *
+ * Export needs an object at the root and fails on null, which TOML cannot
+ * express. Arrays made only of objects become [[arrays of tables]].
+ */
+
+const { formatPath } = require('./query');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?)?$|^\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+const BASIC_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+// --- Export ---
+
+const formatKey = (key) => (BARE_KEY.test(key) ? key : JSON.stringify(key));
+
+const isTableArray = (value) => Array.isArray(value) && value.length > 0 && value.every(isObject);
+
+const formatInlineValue = (value, segments) => {
+  if (value === null) {
+    throw new Error(`Cannot convert to TOML: ${formatPath(segments)} is null, which TOML cannot represent`);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item, index) => formatInlineValue(item, [...segments, index])).join(', ')}]`;
+  }
+  if (isObject(value)) {
+    const entries = Object.entries(value).map(([key, child]) => `${formatKey(key)} = ${formatInlineValue(child, [...segments, key])}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  // JSON string syntax is a valid TOML basic string
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+};
+
+const emitTable = (table, segments, lines) => {
+  const entries = Object.entries(table);
+
+  entries
+    .filter(([, value]) => !isObject(value) && !isTableArray(value))
+    .forEach(([key, value]) => lines.push(`${formatKey(key)} = ${formatInlineValue(value, [...segments, key])}`));
+
+  entries.forEach(([key, value]) => {
+    const childSegments = [...segments, key];
+    const header = childSegments.map((segment) => formatKey(String(segment))).join('.');
+
+    if (isObject(value)) {
+      lines.push('', `[${header}]`);
+      emitTable(value, childSegments, lines);
+    } else if (isTableArray(value)) {
+      value.forEach((item) => {
+        lines.push('', `[[${header}]]`);
+        emitTable(item, childSegments, lines);
+      });
+    }
+  });
+};
+
+/**
+ * Convert a JSON object to TOML text.
+ */
+const toToml = (data) => {
+  if (!isObject(data)) throw new Error('Cannot convert to TOML: the document root must be an object');
+
+  const lines = [];
+  emitTable(data, [], lines);
+  // Drop the blank separator before a leading table header
+  while (lines[0] === '') lines.shift();
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Import ---
+
+class TomlParser {
+  constructor(text) {
+    this.text = text.replace(/^\uFEFF/, '');
+    this.pos = 0;
+    this.root = {};
+    // Tables created by a [header], and inline tables/arrays that may not be extended
+    this.declaredTables = new Set();
+    this.sealed = new Set();
+  }
+
+  fail(message, position = this.pos) {
+    const line = this.text.slice(0, position).split('\n').length;
+    throw new Error(`TOML line ${line}: ${message}`);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  startsWith(text) {
+    return this.text.startsWith(text, this.pos);
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos += 1;
+  }
+
+  skipComment() {
+    if (this.peek() === '#') {
+      while (this.pos < this.text.length && this.peek() !== '\n') this.pos += 1;
+    }
+  }
+
+  // Whitespace, newlines and comments (inside arrays and between statements)
+  skipBlank() {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      if (this.peek() === '\n') {
+        this.pos += 1;
+      } else if (this.startsWith('\r\n')) {
+        this.pos += 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  expectLineEnd() {
+    this.skipSpaces();
+    this.skipComment();
+    if (this.pos < this.text.length && this.peek() !== '\n' && !this.startsWith('\r\n')) {
+      this.fail(`unexpected ${JSON.stringify(this.peek())}, expected the end of the line`);
+    }
+  }
+
+  parse() {
+    let current = this.root;
+
+    for (this.skipBlank(); this.pos < this.text.length; this.skipBlank()) {
+      if (this.startsWith('[[')) {
+        current = this.parseArrayTableHeader();
+      } else if (this.peek() === '[') {
+        current = this.parseTableHeader();
+      } else {
+        this.parseKeyValue(current);
+      }
+      this.expectLineEnd();
+    }
+
+    return this.root;
+  }
+
+  parseKey() {
+    const keys = [];
+    for (;;) {
+      this.skipSpaces();
+      const char = this.peek();
+      if (char === '"') {
+        keys.push(this.parseBasicString());
+      } else if (char === '\'') {
+        keys.push(this.parseLiteralString());
+      } else {
+        const start = this.pos;
+        while (/[A-Za-z0-9_-]/.test(this.peek() || '')) this.pos += 1;
+        if (this.pos === start) this.fail(`expected a key but found ${JSON.stringify(char || 'end of input')}`);
+        keys.push(this.text.slice(start, this.pos));
+      }
+      this.skipSpaces();
+      if (this.peek() !== '.') return keys;
+      this.pos += 1;
+    }
+  }
+
+  /**
+   * Walk `keys` from `table`, creating tables as needed. Arrays of tables resolve to their last element.
+   */
+  descend(table, keys, position) {
+    return keys.reduce((node, key, index) => {
+      if (!Object.prototype.hasOwnProperty.call(node, key)) node[key] = {};
+      let next = node[key];
+      if (Array.isArray(next) && !this.sealed.has(next)) next = next[next.length - 1];
+      if (!isObject(next) || this.sealed.has(next)) {
+        this.fail(`cannot use "${keys.slice(0, index + 1).join('.')}" as a table; it is already defined as a value`, position);
+      }
+      return next;
+    }, table);
+  }
+
+  parseTableHeader() {
+    const position = this.pos;
+    this.pos += 1;
+    const keys = this.parseKey();
+    if (this.peek() !== ']') this.fail('expected "]" to close the table header');
+    this.pos += 1;
+
+    const parent = this.descend(this.root, keys.slice(0, -1), position);
+    if (Array.isArray(parent[keys[keys.length - 1]])) {
+      this.fail(`cannot use [${keys.join('.')}]; "${keys.join('.')}" is an array, use [[${keys.join('.')}]]`, position);
+    }
+    const table = this.descend(parent, keys.slice(-1), position);
+    if (this.declaredTables.has(table)) this.fail(`table [${keys.join('.')}] is defined more than once`, position);
+    this.declaredTables.add(table);
+    return table;
+  }
+
+  parseArrayTableHeader() {
+    const position = this.pos;
+    this.pos += 2;
+    const keys = this.parseKey();
+    if (!this.startsWith(']]')) this.fail('expected "]]" to close the array of tables header');
+    this.pos += 2;
+
+    const parent = this.descend(this.root, keys.slice(0, -1), position);
+    const key = keys[keys.length - 1];
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) parent[key] = [];
+    if (!Array.isArray(parent[key]) || this.sealed.has(parent[key])) {
+      this.fail(`cannot use [[${keys.join('.')}]]; "${keys.join('.')}" is already defined as a value`, position);
+    }
+
+    const table = {};
+    parent[key].push(table);
+    return table;
+  }
+
+  parseKeyValue(table) {
+    const position = this.pos;
+    const keys = this.parseKey();
+    if (this.peek() !== '=') this.fail(`expected "=" after the key "${keys.join('.')}"`);
+    this.pos += 1;
+    this.skipSpaces();
+
+    const target = this.descend(table, keys.slice(0, -1), position);
+    const key = keys[keys.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, key)) this.fail(`duplicate key "${keys.join('.')}"`, position);
+    target[key] = this.parseValue();
+  }
+
+  parseValue() {
+    const char = this.peek();
+
+    if (this.startsWith('"""')) return this.parseMultilineBasicString();
+    if (this.startsWith('\'\'\'')) return this.parseMultilineLiteralString();
+    if (char === '"') return this.parseBasicString();
+    if (char === '\'') return this.parseLiteralString();
+    if (char === '[') return this.parseArray();
+    if (char === '{') return this.parseInlineTable();
+    if (this.startsWith('true') && !/[\w-]/.test(this.peek(4) || '')) {
+      this.pos += 4;
+      return true;
+    }
+    if (this.startsWith('false') && !/[\w-]/.test(this.peek(5) || '')) {
+      this.pos += 5;
+      return false;
+    }
+    return this.parseNumberOrDate();
+  }
+
+  parseEscape() {
+    const position = this.pos;
+    const char = this.peek(1);
+    if (Object.prototype.hasOwnProperty.call(BASIC_ESCAPES, char)) {
+      this.pos += 2;
+      return BASIC_ESCAPES[char];
+    }
+    const length = char === 'u' ? 4 : char === 'U' ? 8 : 0;
+    const hex = this.text.slice(this.pos + 2, this.pos + 2 + length);
+    if (!length || !new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) this.fail(`invalid escape "\\${char || ''}"`, position);
+    this.pos += 2 + length;
+    return String.fromCodePoint(parseInt(hex, 16));
+  }
+
+  parseBasicString() {
+    const start = this.pos;
+    this.pos += 1;
+    let value = '';
+    while (this.peek() !== '"') {
+      if (this.pos >= this.text.length || this.peek() === '\n') this.fail('unterminated string', start);
+      if (this.peek() === '\\') {
+        value += this.parseEscape();
+      } else {
+        value += this.peek();
+        this.pos += 1;
+      }
+    }
+    this.pos += 1;
+    return value;
+  }
+
+  parseLiteralString() {
+    const start = this.pos;
+    const end = this.text.indexOf('\'', this.pos + 1);
+    const newline = this.text.indexOf('\n', this.pos + 1);
+    if (end === -1 || (newline !== -1 && newline < end)) this.fail('unterminated string', start);
+    this.pos = end + 1;
+    return this.text.slice(start + 1, end);
+  }
+
+  parseMultilineBasicString() {
+    const start = this.pos;
+    this.pos += 3;
+    if (this.startsWith('\r\n')) this.pos += 2;
+    else if (this.peek() === '\n') this.pos += 1;
+
+    let value = '';
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail('unterminated multi-line string', start);
+      if (this.startsWith('"""')) {
+        // Up to two quotes may directly precede the closing delimiter
+        let quotes = 3;
+        while (this.peek(quotes) === '"' && quotes < 5) quotes += 1;
+        value += '"'.repeat(quotes - 3);
+        this.pos += quotes;
+        return value;
+      }
+      if (this.peek() === '\\') {
+        // Line-ending backslash: trim the newline and leading whitespace that follows
+        if (/^\\[ \t]*\r?\n/.test(this.text.slice(this.pos, this.pos + 64))) {
+          this.pos += 1;
+          while (/[ \t\r\n]/.test(this.peek() || '')) this.pos += 1;
+        } else {
+          value += this.parseEscape();
+        }
+      } else {
+        value += this.peek();
+        this.pos += 1;
+      }
+    }
+  }
+
+  parseMultilineLiteralString() {
+    const start = this.pos;
+    this.pos += 3;
+    if (this.startsWith('\r\n')) this.pos += 2;
+    else if (this.peek() === '\n') this.pos += 1;
+
+    const end = this.text.indexOf('\'\'\'', this.pos);
+    if (end === -1) this.fail('unterminated multi-line string', start);
+    let close = end + 3;
+    while (this.text[close] === '\'' && close < end + 5) close += 1;
+    const value = this.text.slice(this.pos, close - 3);
+    this.pos = close;
+    return value;
+  }
+
+  parseArray() {
+    const array = [];
+    this.pos += 1;
+    for (this.skipBlank(); this.peek() !== ']'; this.skipBlank()) {
+      if (this.pos >= this.text.length) this.fail('unterminated array');
+      array.push(this.parseValue());
+      this.skipBlank();
+      if (this.peek() === ',') {
+        this.pos += 1;
+      } else if (this.peek() !== ']') {
+        this.fail(`expected "," or "]" in an array but found ${JSON.stringify(this.peek() || 'end of input')}`);
+      }
+    }
+    this.pos += 1;
+    this.sealed.add(array);
+    return array;
+  }
+
+  parseInlineTable() {
+    const table = {};
+    this.pos += 1;
+    this.skipSpaces();
+    if (this.peek() === '}') {
+      this.pos += 1;
+      this.sealed.add(table);
+      return table;
+    }
+
+    for (;;) {
+      this.parseKeyValue(table);
+      this.skipSpaces();
+      if (this.peek() === '}') break;
+      if (this.peek() !== ',') this.fail(`expected "," or "}" in an inline table but found ${JSON.stringify(this.peek() || 'end of input')}`);
+      this.pos += 1;
+      this.skipSpaces();
+    }
+    this.pos += 1;
+    this.sealed.add(table);
+    return table;
+  }
+
+  parseNumberOrDate() {
+    const start = this.pos;
+    while (/[0-9A-Za-z_+\-.:]/.test(this.peek() || '')) this.pos += 1;
+    // "1979-05-27 07:32:00": a space may separate date and time
+    if (/^\d{4}-\d{2}-\d{2}$/.test(this.text.slice(start, this.pos)) && this.peek() === ' ' && /\d/.test(this.peek(1) || '')) {
+      this.pos += 1;
+      while (/[0-9A-Za-z+\-.:]/.test(this.peek() || '')) this.pos += 1;
+    }
+
+    const token = this.text.slice(start, this.pos);
+    const fail = (message) => this.fail(message, start);
+    if (!token) fail(`expected a value but found ${JSON.stringify(this.peek() || 'end of input')}`);
+
+    if (DATE_TIME.test(token)) return token.replace(' ', 'T');
+    if (/^[+-]?(inf|nan)$/.test(token)) fail(`${token} has no JSON equivalent`);
+
+    const validUnderscores = (digits) => !/^_|_$|__/.test(digits);
+    let number = null;
+    let match;
+    if ((match = /^0x([0-9A-Fa-f_]+)$/.exec(token)) && validUnderscores(match[1])) number = parseInt(match[1].replace(/_/g, ''), 16);
+    else if ((match = /^0o([0-7_]+)$/.exec(token)) && validUnderscores(match[1])) number = parseInt(match[1].replace(/_/g, ''), 8);
+    else if ((match = /^0b([01_]+)$/.exec(token)) && validUnderscores(match[1])) number = parseInt(match[1].replace(/_/g, ''), 2);
+    else if (/^[+-]?(0|[1-9](_?\d)*)$/.test(token)) number = Number(token.replace(/_/g, ''));
+    else if (/^[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?$/.test(token)) return Number(token.replace(/_/g, ''));
+
+    if (number === null) fail(`invalid value ${JSON.stringify(token)}`);
+    if (!Number.isSafeInteger(number)) fail(`integer ${token} is too large to represent exactly in JSON`);
+    return number;
+  }
+}
+
+/**
+ * Convert TOML text to a JSON object.
+ */
+const fromToml = (text) => new TomlParser(text).parse();
+
+module.exports = { toToml, fromToml };
@@ -0,0 +1,459 @@
+/**
+ * YAML conversion for the JSON processor (--to yaml / --from yaml)
+ *
+ * Export writes block-style YAML; strings that could be misread (numbers,
+ * booleans, "yes"/"no", special characters) are double-quoted.
+ *
+ * Import covers the YAML that configuration files and API fixtures use:
+ * block mappings and sequences, flow collections on one line ([a, b], {a: 1}),
+ * plain, single- and double-quoted scalars, literal (|) and folded (>) block
+ * scalars, comments and a leading "---". Scalars resolve with the YAML 1.2
+ * core schema. Anchors, aliases, tags, directives, complex keys and multiple
+ * documents are rejected with the line they appear on.
+ */
+
+const isEmptyContainer = (value) => (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+
+// Words some YAML parsers (1.1) read as booleans or null
+const AMBIGUOUS_WORDS = /^(y|n|yes|no|on|off|true|false|null|~)$/i;
+
+const DOUBLE_QUOTE_ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+// --- Export ---
+
+const formatString = (text) => {
+  const plain = /^[A-Za-z_][\w .\/@+-]*$/.test(text) && !/\s$/.test(text) && !AMBIGUOUS_WORDS.test(text);
+  // JSON string syntax is valid YAML double-quoted syntax
+  return plain ? text : JSON.stringify(text);
+};
+
+const formatScalar = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value === 'string') return formatString(value);
+  return String(value);
+};
+
+const blockLines = (value) => {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (item !== null && typeof item === 'object' && !isEmptyContainer(item)) {
+        const [first, ...rest] = blockLines(item);
+        return [`- ${first}`, ...rest.map((line) => `  ${line}`)];
+      }
+      return [`- ${formatScalar(item)}`];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => {
+    if (child !== null && typeof child === 'object' && !isEmptyContainer(child)) {
+      return [`${formatString(key)}:`, ...blockLines(child).map((line) => `  ${line}`)];
+    }
+    return [`${formatString(key)}: ${formatScalar(child)}`];
+  });
+};
+
+/**
+ * Convert a JSON value to block-style YAML text.
+ */
+const toYaml = (data) => {
+  const lines = data !== null && typeof data === 'object' && !isEmptyContainer(data) ? blockLines(data) : [formatScalar(data)];
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Import ---
+
+/**
+ * Resolve a plain scalar with the YAML 1.2 core schema.
+ */
+const resolvePlain = (text, fail) => {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(\.inf|\.Inf|\.INF)$/.test(text) || /^(\.nan|\.NaN|\.NAN)$/.test(text)) {
+    return fail(`${text} has no JSON equivalent`);
+  }
+
+  let number = null;
+  if (/^[-+]?\d+$/.test(text)) number = Number(text);
+  else if (/^0x[0-9a-fA-F]+$/.test(text)) number = parseInt(text.slice(2), 16);
+  else if (/^0o[0-7]+$/.test(text)) number = parseInt(text.slice(2), 8);
+  else if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+
+  if (number !== null) {
+    if (!Number.isSafeInteger(number)) return fail(`integer ${text} is too large to represent exactly in JSON`);
+    return number;
+  }
+  return text;
+};
+
+/**
+ * Index of the "#" starting a comment, ignoring quoted text, or -1.
+ */
+const findComment = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (quote === '"' && char === '\\') i += 1;
+      else if (quote === '\'' && char === '\'' && text[i + 1] === '\'') i += 1;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === '\'') && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const stripComment = (text) => {
+  const index = findComment(text);
+  return (index === -1 ? text : text.slice(0, index)).replace(/\s+$/, '');
+};
+
+class YamlParser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    this.index = 0;
+  }
+
+  fail(message, lineIndex = this.index) {
+    throw new Error(`YAML line ${lineIndex + 1}: ${message}`);
+  }
+
+  /**
+   * Next line with content: { indent, text } with the comment removed, or null at the end.
+   * Stops at document markers so they can be handled by parse().
+   */
+  peek() {
+    while (this.index < this.lines.length) {
+      const raw = this.lines[this.index];
+      if (/^ *\t/.test(raw) && raw.trim() !== '') {
+        this.fail('tabs cannot be used for indentation');
+      }
+      const text = stripComment(raw);
+      if (text.trim() !== '') {
+        const indent = text.length - text.trimStart().length;
+        return { indent, text: text.trim() };
+      }
+      this.index += 1;
+    }
+    return null;
+  }
+
+  parse() {
+    let line = this.peek();
+    if (line && line.indent === 0 && line.text.startsWith('%')) this.fail('directives (%YAML, %TAG) are not supported');
+
+    if (line && line.indent === 0 && /^---(\s|$)/.test(line.text)) {
+      if (line.text !== '---') this.fail('content on the "---" line is not supported; start it on the next line');
+      this.index += 1;
+      line = this.peek();
+    }
+
+    const value = line && !this.isDocumentMarker(line) ? this.parseBlock(-1) : null;
+
+    line = this.peek();
+    if (line && line.indent === 0 && line.text === '...') {
+      this.index += 1;
+      line = this.peek();
+    }
+    if (line) {
+      if (line.indent === 0 && /^---(\s|$)/.test(line.text)) this.fail('multiple documents are not supported');
+      this.fail(`unexpected ${JSON.stringify(line.text)}`);
+    }
+    return value;
+  }
+
+  isDocumentMarker(line) {
+    return line.indent === 0 && (line.text === '...' || /^---(\s|$)/.test(line.text));
+  }
+
+  isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * Parse the block node starting at the next line, which must be indented
+   * deeper than `parentIndent`.
+   */
+  parseBlock(parentIndent) {
+    const line = this.peek();
+    if (!line || line.indent <= parentIndent || this.isDocumentMarker(line)) return null;
+
+    if (this.isSequenceItem(line.text)) return this.parseSequence(line.indent);
+    if (this.splitEntry(line.text)) return this.parseMapping(line.indent);
+
+    this.index += 1;
+    const value = this.parseInline(line.text, line.indent);
+    const next = this.peek();
+    if (next && next.indent > parentIndent && !this.isDocumentMarker(next)) {
+      this.fail('multi-line plain scalars are not supported; quote the value or use a | or > block');
+    }
+    return value;
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    for (let line = this.peek(); line && line.indent === indent && this.isSequenceItem(line.text) && !this.isDocumentMarker(line); line = this.peek()) {
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        this.index += 1;
+        items.push(this.parseBlock(indent));
+      } else if (this.isSequenceItem(rest) || this.splitEntry(rest)) {
+        // "- key: value" / "- - item": re-read the rest of the line as a nested block
+        const offset = line.text.length - rest.length;
+        this.lines[this.index] = `${' '.repeat(indent + offset)}${rest}`;
+        items.push(this.parseBlock(indent));
+      } else {
+        this.index += 1;
+        items.push(this.parseInline(rest, indent));
+      }
+    }
+
+    this.checkDedent(indent);
+    return items;
+  }
+
+  parseMapping(indent) {
+    const result = {};
+
+    for (let line = this.peek(); line && line.indent === indent && !this.isSequenceItem(line.text) && !this.isDocumentMarker(line); line = this.peek()) {
+      const entry = this.splitEntry(line.text);
+      if (!entry) this.fail(`expected "key: value" but found ${JSON.stringify(line.text)}`);
+      if (Object.prototype.hasOwnProperty.call(result, entry.key)) this.fail(`duplicate key "${entry.key}"`);
+
+      this.index += 1;
+      if (entry.rest === '') {
+        const next = this.peek();
+        // A sequence may sit at the same indentation as its key
+        const sequenceHere = next && next.indent === indent && this.isSequenceItem(next.text);
+        result[entry.key] = sequenceHere ? this.parseSequence(indent) : this.parseBlock(indent);
+      } else {
+        result[entry.key] = this.parseInline(entry.rest, indent);
+      }
+    }
+
+    this.checkDedent(indent);
+    return result;
+  }
+
+  checkDedent(indent) {
+    const line = this.peek();
+    if (line && line.indent > indent) this.fail('unexpected indentation');
+  }
+
+  /**
+   * Split "key: rest" into its parts, or return null if the text is not a mapping entry.
+   */
+  splitEntry(text) {
+    if (text.startsWith('? ') || text === '?') this.fail('complex keys ("? ") are not supported');
+
+    let keyText;
+    let restStart;
+    if (text[0] === '"' || text[0] === '\'') {
+      const end = this.findQuoteEnd(text, 0);
+      if (end === -1 || text[end + 1] !== ':' || !/^(\s|$)/.test(text.slice(end + 2, end + 3))) return null;
+      keyText = text.slice(0, end + 1);
+      restStart = end + 2;
+    } else {
+      if (text[0] === '[' || text[0] === '{') return null;
+      const match = /:(\s|$)/.exec(text);
+      if (!match) return null;
+      keyText = text.slice(0, match.index).trim();
+      restStart = match.index + 1;
+    }
+
+    if (/^[&*!]/.test(keyText)) this.checkUnsupported(keyText);
+    const key = keyText[0] === '"' || keyText[0] === '\'' ? this.parseQuoted(keyText) : keyText;
+    return { key: String(key), rest: text.slice(restStart).trim() };
+  }
+
+  findQuoteEnd(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i += 1) {
+      if (quote === '"' && text[i] === '\\') {
+        i += 1;
+      } else if (text[i] === quote) {
+        if (quote === '\'' && text[i + 1] === '\'') {
+          i += 1;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  checkUnsupported(text, lineIndex = this.index) {
+    if (text.startsWith('&')) this.fail('anchors (&name) are not supported', lineIndex);
+    if (text.startsWith('*')) this.fail('aliases (*name) are not supported', lineIndex);
+    if (text.startsWith('!')) this.fail('tags (!tag) are not supported', lineIndex);
+  }
+
+  /**
+   * Parse a value that starts on the current line (after "key:" or "- ").
+   */
+  parseInline(text, indent) {
+    const lineIndex = this.index - 1;
+    this.checkUnsupported(text, lineIndex);
+
+    if (/^[|>]/.test(text)) return this.parseBlockScalar(text, indent);
+
+    if (text[0] === '"' || text[0] === '\'') {
+      const end = this.findQuoteEnd(text, 0);
+      if (end === -1) this.fail('multi-line quoted strings are not supported', lineIndex);
+      if (end !== text.length - 1) this.fail(`unexpected ${JSON.stringify(text.slice(end + 1))} after a quoted string`, lineIndex);
+      return this.parseQuoted(text, lineIndex);
+    }
+
+    if (text[0] === '[' || text[0] === '{') return this.parseFlow(text, lineIndex);
+
+    if (/:(\s|$)/.test(text)) this.fail(`unexpected ": " in ${JSON.stringify(text)}; quote the value`, lineIndex);
+    return resolvePlain(text, (message) => this.fail(message, lineIndex));
+  }
+
+  parseQuoted(text, lineIndex = this.index) {
+    const body = text.slice(1, -1);
+    if (text[0] === '\'') return body.replace(/''/g, '\'');
+
+    return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+      if (/^[xuU]/.test(escape) && escape.length > 1) return String.fromCodePoint(parseInt(escape.slice(1), 16));
+      if (Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, escape)) return DOUBLE_QUOTE_ESCAPES[escape];
+      return this.fail(`invalid escape "\\${escape}" in a double-quoted string`, lineIndex);
+    });
+  }
+
+  /**
+   * Literal (|) and folded (>) block scalars with optional chomping (-, +) and indentation indicators.
+   */
+  parseBlockScalar(header, parentIndent) {
+    const match = /^([|>])([-+]?)(\d?)([-+]?)$/.exec(header);
+    if (!match) this.fail(`invalid block scalar header ${JSON.stringify(header)}`, this.index - 1);
+    const [, style, chompBefore, explicitIndent, chompAfter] = match;
+    const chomping = chompBefore || chompAfter;
+
+    const lines = [];
+    let contentIndent = explicitIndent ? parentIndent + Number(explicitIndent) : null;
+    while (this.index < this.lines.length) {
+      const raw = this.lines[this.index];
+      if (raw.trim() === '') {
+        lines.push('');
+        this.index += 1;
+        continue;
+      }
+      const indent = raw.length - raw.trimStart().length;
+      if (contentIndent === null) contentIndent = indent;
+      if (indent < contentIndent || indent <= parentIndent) break;
+      lines.push(raw.slice(contentIndent));
+      this.index += 1;
+    }
+
+    // Trailing blank lines belong to the chomping, not the content
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing += 1;
+    }
+
+    let text;
+    if (style === '|') {
+      text = lines.join('\n');
+    } else {
+      text = lines.reduce((result, line, index) => {
+        if (index === 0) return line;
+        const previous = lines[index - 1];
+        const keepBreak = line === '' || previous === '' || /^\s/.test(line) || /^\s/.test(previous);
+        return `${result}${keepBreak ? '\n' : ' '}${line}`;
+      }, '');
+    }
+
+    if (lines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    if (chomping === '-') return text;
+    if (chomping === '+') return `${text}\n${'\n'.repeat(trailing)}`;
+    return `${text}\n`;
+  }
+
+  /**
+   * Single-line flow collections: [a, "b", {c: 1}].
+   */
+  parseFlow(text, lineIndex) {
+    let pos = 0;
+    const fail = (message) => this.fail(message, lineIndex);
+    const skip = () => {
+      while (text[pos] === ' ') pos += 1;
+    };
+
+    const parseScalar = (terminators) => {
+      skip();
+      if (text[pos] === '"' || text[pos] === '\'') {
+        const end = this.findQuoteEnd(text, pos);
+        if (end === -1) fail('unterminated quoted string');
+        const value = this.parseQuoted(text.slice(pos, end + 1), lineIndex);
+        pos = end + 1;
+        return value;
+      }
+      const start = pos;
+      while (pos < text.length && !terminators.includes(text[pos]) && !(text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' '))) {
+        pos += 1;
+      }
+      const raw = text.slice(start, pos).trim();
+      this.checkUnsupported(raw, lineIndex);
+      return resolvePlain(raw, fail);
+    };
+
+    const parseNode = () => {
+      skip();
+      if (text[pos] === '[') {
+        pos += 1;
+        const items = [];
+        for (skip(); text[pos] !== ']'; skip()) {
+          if (pos >= text.length) fail('multi-line flow collections are not supported');
+          items.push(parseNode());
+          skip();
+          if (text[pos] === ',') pos += 1;
+          else if (text[pos] !== ']') fail(`expected "," or "]" in ${JSON.stringify(text)}`);
+        }
+        pos += 1;
+        return items;
+      }
+      if (text[pos] === '{') {
+        pos += 1;
+        const result = {};
+        for (skip(); text[pos] !== '}'; skip()) {
+          if (pos >= text.length) fail('multi-line flow collections are not supported');
+          const key = String(parseScalar([',', '}']));
+          skip();
+          if (text[pos] !== ':') fail(`expected ":" after "${key}" in ${JSON.stringify(text)}`);
+          pos += 1;
+          result[key] = parseNode();
+          skip();
+          if (text[pos] === ',') pos += 1;
+          else if (text[pos] !== '}') fail(`expected "," or "}" in ${JSON.stringify(text)}`);
+        }
+        pos += 1;
+        return result;
+      }
+      return parseScalar([',', ']', '}']);
+    };
+
+    const value = parseNode();
+    skip();
+    if (pos < text.length) fail(`unexpected ${JSON.stringify(text.slice(pos))} after a flow collection`);
+    return value;
+  }
+}
+
+/**
+ * Convert YAML text (a single document) to a JSON value.
+ */
+const fromYaml = (text) => new YamlParser(text).parse();
+
+module.exports = { toYaml, fromYaml };
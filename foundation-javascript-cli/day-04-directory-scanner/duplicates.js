@@ -0,0 +1,83 @@
+/**
+ * Duplicate file detection for the directory scanner (--duplicates)
+ *
+ * Only files that share a size can be identical, so files are grouped by size
+ * first and only those groups are read. Their content is then hashed with a
+ * streamed SHA-256, so large files are never held in memory.
+ * - empty files are skipped (they are all "identical" and waste nothing)
+ * - symlinks are skipped: a link is not a copy of the file it points to
+ * - the oldest copy is the one modified longest ago, usually the original
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_CONCURRENCY, createLimiter } = require('./scanner');
+
+/**
+ * SHA-256 of a file's content as hex, read as a stream.
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const groupBy = (items, getKey) => items.reduce((groups, item) => {
+  const key = getKey(item);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+const byAge = (a, b) => a.modified - b.modified || a.relativePath.localeCompare(b.relativePath);
+
+/**
+ * Find sets of files with identical content.
+ * Returns { sets, duplicateFiles, wastedBytes }, with the sets
+ * ordered by wasted bytes and the files of each set from oldest to newest.
+ * options: concurrency, onWarning(message)
+ */
+const findDuplicates = async (files, options = {}) => {
+  const { concurrency = DEFAULT_CONCURRENCY, onWarning = () => {} } = options;
+  const limit = createLimiter(concurrency);
+
+  const candidates = [...groupBy(files.filter((file) => file.type === 'file' && file.size > 0), (file) => file.size).values()]
+    .filter((group) => group.length > 1)
+    .flat();
+
+  const hashes = await Promise.all(candidates.map((file) => limit(() => hashFile(file.path).catch((error) => {
+    onWarning(`Cannot hash ${file.path}: ${error.message}`);
+    return null;
+  }))));
+
+  const hashed = candidates
+    .map((file, index) => ({ file, hash: hashes[index] }))
+    .filter(({ hash }) => hash !== null);
+
+  // The size is part of the key so a set never mixes sizes
+  const sets = [...groupBy(hashed, ({ file, hash }) => `${file.size}:${hash}`).values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const copies = group.map(({ file }) => file).sort(byAge);
+      const { size } = copies[0];
+      return {
+        hash: group[0].hash,
+        size,
+        count: copies.length,
+        wastedBytes: size * (copies.length - 1),
+        oldest: copies[0],
+        files: copies
+      };
+    })
+    .sort((a, b) => b.wastedBytes - a.wastedBytes || a.oldest.relativePath.localeCompare(b.oldest.relativePath));
+
+  return {
+    sets,
+    duplicateFiles: sets.reduce((sum, set) => sum + set.count, 0),
+    wastedBytes: sets.reduce((sum, set) => sum + set.wastedBytes, 0)
+  };
+};
+
+module.exports = { hashFile, findDuplicates };
@@ -0,0 +1,172 @@
+/**
+ * Exclude patterns and .gitignore support for the directory scanner
+ *
+ * --exclude and .gitignore files share the gitignore pattern syntax:
+ * - a pattern without a slash matches a name at any depth (node_modules, *.log)
+ * - a leading or inner slash anchors it to the directory it belongs to (/dist, src/gen)
+ * - a trailing slash only matches directories (build/)
+ * - *, ? and [a-z] never match "/"; ** matches across directories
+ * - in .gitignore files, !pattern re-includes a path, and the last matching rule wins
+ * Nested .gitignore files apply to their own subtree and override the ones above them.
+ * Excluded directories are never entered, so nothing below them can be re-included.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const escapeRegex = (char) => char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Translate the glob part of a pattern into a regular expression source.
+ */
+const globToRegex = (glob) => {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length;
+      if (atStart && glob[i + 2] === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 3;
+      } else if (atStart && atEnd) {
+        source += '.*';
+        i += 2;
+      } else {
+        source += '[^/]*';
+        i += 2;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+      i += 1;
+    } else if (char === '?') {
+      source += '[^/]';
+      i += 1;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        i += 1;
+      } else {
+        let body = glob.slice(i + 1, end);
+        if (body.startsWith('!')) body = `^${body.slice(1)}`;
+        source += `[${body.replace(/\\/g, '\\\\')}]`;
+        i = end + 1;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegex(char);
+      i += 1;
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Compile one pattern line. Returns null for blank lines and comments.
+ */
+const compilePattern = (line) => {
+  // Trailing spaces are ignored unless escaped with a backslash
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (pattern === '' || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+  if (pattern === '') return null;
+
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  const body = globToRegex(pattern);
+
+  return {
+    source: line.trim(),
+    negate,
+    dirOnly,
+    regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+  };
+};
+
+const parseIgnoreFile = (text) => text.split(/\r?\n/).map(compilePattern).filter(Boolean);
+
+/**
+ * Decides which paths below `rootDir` are skipped.
+ * `paths` (absolute, such as the scanner's own snapshot file) are always skipped;
+ * --exclude patterns win over .gitignore rules, which are evaluated from the root
+ * down, and within a file in order, with the last matching rule deciding.
+ */
+class IgnoreRules {
+  constructor(rootDir, { excludes = [], gitignore = false, paths = [] } = {}) {
+    this.rootDir = rootDir;
+    this.excludes = excludes.map(compilePattern).filter(Boolean);
+    this.gitignore = gitignore;
+    this.paths = new Set(paths);
+    // Directory (relative, '' for the root) -> its parsed .gitignore rules
+    this.ignoreFiles = new Map();
+  }
+
+  get active() {
+    return this.excludes.length > 0 || this.gitignore || this.paths.size > 0;
+  }
+
+  rulesFor(relativeDir) {
+    if (!this.ignoreFiles.has(relativeDir)) {
+      const dirPath = path.join(this.rootDir, relativeDir);
+      const sources = [path.join(dirPath, '.gitignore')];
+      // Repository-local excludes live in .git/info/exclude at the scan root
+      if (relativeDir === '') sources.unshift(path.join(dirPath, '.git', 'info', 'exclude'));
+
+      const rules = [];
+      sources.forEach((source) => {
+        try {
+          rules.push(...parseIgnoreFile(fs.readFileSync(source, 'utf8')));
+        } catch (error) {
+          // No ignore file here (or unreadable): nothing to add
+        }
+      });
+      this.ignoreFiles.set(relativeDir, rules);
+    }
+    return this.ignoreFiles.get(relativeDir);
+  }
+
+  isIgnored(absolutePath, isDirectory) {
+    if (!this.active) return false;
+    if (this.paths.has(absolutePath)) return true;
+
+    const relativePath = path.relative(this.rootDir, absolutePath).split(path.sep).join('/');
+    if (relativePath === '') return false;
+
+    const matches = (rule, candidate) => (!rule.dirOnly || isDirectory) && rule.regex.test(candidate);
+    if (this.excludes.some((rule) => matches(rule, relativePath))) return true;
+    if (!this.gitignore) return false;
+
+    const segments = relativePath.split('/');
+    if (segments[segments.length - 1] === '.git') return true;
+
+    let ignored = false;
+    for (let depth = 0; depth < segments.length; depth += 1) {
+      const base = segments.slice(0, depth).join('/');
+      const candidate = segments.slice(depth).join('/');
+      this.rulesFor(base).forEach((rule) => {
+        if (matches(rule, candidate)) ignored = !rule.negate;
+      });
+    }
+    return ignored;
+  }
+}
+
+module.exports = { IgnoreRules, compilePattern };
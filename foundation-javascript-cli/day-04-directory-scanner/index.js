@@ -9,10 +9,19 @@
  * - Directory statistics and tree visualization
  * - Search functionality for files containing specific content
  * - Export results to JSON or CSV formats
+ * - Skip paths with --exclude globs and nested .gitignore files (--gitignore)
+ * - One concurrent async traversal shared by every view, with --progress on stderr
+ * - Symlinks listed with their targets; --follow-symlinks with inode-based cycle detection
+ * - Duplicate file sets by size and SHA-256, with wasted space (--duplicates)
+ * - Save scans as snapshots and report what changed since one (--snapshot, --compare)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { IgnoreRules } = require('./ignore');
+const { findDuplicates } = require('./duplicates');
+const { createSnapshot, assertWritable, saveSnapshot, loadSnapshot, compareSnapshots } = require('./snapshot');
+const { DEFAULT_CONCURRENCY, createLimiter, createProgress, scanTree, flattenFiles } = require('./scanner');
 
 const HELP_TEXT = `
 Usage: node index.js <directory-path> [options]
@@ -23,8 +32,17 @@ Options:
   --name <pattern>        Filter by filename pattern (wildcards supported)
   --size <operator:size>  Filter by file size (>,<,=,>=,<= + KB,MB,GB)
   --search <text>         Search for files containing specific text
+  --exclude <glob>        Skip matching files and directories (repeatable, gitignore syntax)
+  --gitignore             Honor .gitignore files (nested, with ! negation) and skip .git
+  --progress              Show a live count of scanned directories and files on stderr
+  --follow-symlinks       Scan what symbolic links point to (cycles are detected and skipped)
+  --no-follow-symlinks    List symbolic links without following them (default)
   --tree                  Display directory tree structure
   --stats                 Show directory statistics
+  --duplicates            Find files with identical content (size, then SHA-256)
+  --snapshot <file>       Save the scan (path, size, mtime) as a JSON snapshot
+  --compare <file>        Report files added, removed, modified and moved since a snapshot
+  --hash                  With --snapshot or --compare: include a SHA-256 of every file
   --json                  Output results in JSON format
   --csv                   Output results in CSV format
   --help                  Show this help message
@@ -34,6 +52,10 @@ Examples:
   node index.js ./project --ext .js,.ts --stats
   node index.js ./logs --size ">1MB" --search "error"
   node index.js ./data --name "*.json" --json
+  node index.js . --gitignore --exclude "*.min.js" --stats
+  node index.js ./photos --duplicates --csv
+  node index.js ./dist --snapshot release.json --hash
+  node index.js ./dist --compare release.json
 `;
 
 const isHelpRequested = () => process.argv.length <= 2 || process.argv.includes('--help');
@@ -47,8 +69,16 @@ const parseArguments = () => {
     namePattern: null,
     sizeFilter: null,
     searchText: null,
+    excludes: [],
+    useGitignore: false,
+    followSymlinks: false,
+    showProgress: false,
     showTree: false,
     showStats: false,
+    findDuplicates: false,
+    snapshotPath: null,
+    comparePath: null,
+    hashFiles: false,
     outputJson: false,
     outputCsv: false
   };
@@ -102,6 +132,30 @@ const parseArguments = () => {
           i += 1;
           break;
 
+        case '--exclude':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --exclude option requires a glob pattern.');
+          }
+          options.excludes.push(args[i + 1]);
+          i += 1;
+          break;
+
+        case '--gitignore':
+          options.useGitignore = true;
+          break;
+
+        case '--follow-symlinks':
+          options.followSymlinks = true;
+          break;
+
+        case '--no-follow-symlinks':
+          options.followSymlinks = false;
+          break;
+
+        case '--progress':
+          options.showProgress = true;
+          break;
+
         case '--tree':
           options.showTree = true;
           break;
@@ -110,6 +164,30 @@ const parseArguments = () => {
           options.showStats = true;
           break;
 
+        case '--duplicates':
+          options.findDuplicates = true;
+          break;
+
+        case '--snapshot':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --snapshot option requires a file path.');
+          }
+          options.snapshotPath = args[i + 1];
+          i += 1;
+          break;
+
+        case '--compare':
+          if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            throw new Error('The --compare option requires a snapshot file.');
+          }
+          options.comparePath = args[i + 1];
+          i += 1;
+          break;
+
+        case '--hash':
+          options.hashFiles = true;
+          break;
+
         case '--json':
           options.outputJson = true;
           break;
@@ -135,6 +213,14 @@ const parseArguments = () => {
     throw new Error('Missing directory path. Use --help for usage information.');
   }
 
+  if (options.hashFiles && !options.snapshotPath && !options.comparePath) {
+    throw new Error('The --hash option requires --snapshot or --compare.');
+  }
+
+  if (options.findDuplicates && options.comparePath) {
+    throw new Error('The --duplicates and --compare options cannot be combined.');
+  }
+
   return options;
 };
 
@@ -196,11 +282,11 @@ const matchesSizeFilter = (fileSize, sizeFilter) => {
   }
 };
 
-const containsSearchText = (filePath, searchText) => {
+const containsSearchText = async (filePath, searchText) => {
   if (!searchText) return true;
   
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = await fs.promises.readFile(filePath, 'utf8');
     return content.toLowerCase().includes(searchText.toLowerCase());
   } catch (error) {
     // Skip binary files or read errors
@@ -208,88 +294,92 @@ const containsSearchText = (filePath, searchText) => {
   }
 };
 
-const scanDirectory = (dirPath, currentDepth = 0, options) => {
-  if (currentDepth > options.depth) return [];
-
-  const results = [];
-  
-  try {
-    const items = fs.readdirSync(dirPath);
-    
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item);
-      const stats = fs.statSync(itemPath);
-      
-      if (stats.isDirectory()) {
-        const subResults = scanDirectory(itemPath, currentDepth + 1, options);
-        results.push(...subResults);
-      } else if (stats.isFile()) {
-        const fileInfo = {
-          name: item,
-          path: itemPath,
-          relativePath: path.relative(options.baseDir, itemPath),
-          size: stats.size,
-          sizeHuman: formatBytes(stats.size),
-          extension: path.extname(item).toLowerCase(),
-          modified: stats.mtime,
-          created: stats.birthtime
-        };
-
-        // Apply filters
-        if (matchesExtension(itemPath, options.extensions) &&
-            matchesNamePattern(item, options.namePattern) &&
-            matchesSizeFilter(stats.size, options.sizeFilter) &&
-            containsSearchText(itemPath, options.searchText)) {
-          results.push(fileInfo);
-        }
-      }
-    }
-  } catch (error) {
-    console.warn(`Warning: Cannot read directory ${dirPath}: ${error.message}`);
-  }
-  
-  return results;
+/**
+ * Apply the filters to the files of a scanned tree. The cheap checks run first;
+ * the content search then reads the remaining files with bounded concurrency.
+ */
+const filterFiles = async (tree, options) => {
+  const candidates = flattenFiles(tree).filter(file =>
+    matchesExtension(file.path, options.extensions) &&
+    matchesNamePattern(file.name, options.namePattern) &&
+    matchesSizeFilter(file.size, options.sizeFilter));
+
+  // Only content that was scanned is searched: not the targets of unfollowed links
+  const isSearchable = file => file.type === 'file' || (options.followSymlinks && file.targetType === 'file');
+  const limit = createLimiter(DEFAULT_CONCURRENCY);
+  const found = await Promise.all(candidates.map(file => (options.searchText && !isSearchable(file)
+    ? false
+    : limit(() => containsSearchText(file.path, options.searchText)))));
+
+  return candidates
+    .filter((file, index) => found[index])
+    .map(file => ({
+      name: file.name,
+      path: file.path,
+      relativePath: file.relativePath,
+      type: file.type,
+      target: file.type === 'symlink' ? file.target : null,
+      targetType: file.type === 'symlink' ? file.targetType : null,
+      broken: file.type === 'symlink' && file.broken,
+      cycle: file.type === 'symlink' && file.cycle,
+      size: file.size,
+      sizeHuman: formatBytes(file.size),
+      extension: file.extension,
+      modified: file.modified,
+      created: file.created
+    }));
 };
 
-const displayTree = (dirPath, currentDepth = 0, maxDepth = Infinity, prefix = '') => {
-  if (currentDepth > maxDepth) return;
+/**
+ * Describe where a symlink points, with a marker for broken links and cycles.
+ */
+const formatLinkTarget = (file) => {
+  if (file.broken) return `-> ${file.target} [broken]`;
+  if (file.cycle) return `-> ${file.target} [cycle]`;
+  return `-> ${file.target}`;
+};
 
-  try {
-    const items = fs.readdirSync(dirPath);
-    const sortedItems = items.sort((a, b) => {
-      const aPath = path.join(dirPath, a);
-      const bPath = path.join(dirPath, b);
-      const aStat = fs.statSync(aPath);
-      const bStat = fs.statSync(bPath);
-      
-      // Directories first, then files
-      if (aStat.isDirectory() && !bStat.isDirectory()) return -1;
-      if (!aStat.isDirectory() && bStat.isDirectory()) return 1;
-      return a.localeCompare(b);
-    });
+/**
+ * Print a scanned tree: directories first, then files, each group by name.
+ * Links to directories sort with the directories.
+ */
+const displayTree = (node, prefix = '') => {
+  if (node.error) {
+    console.warn(`${prefix}└── [Error reading directory: ${node.error}]`);
+    return;
+  }
+  if (!node.children) return;
+
+  const isDirectoryLike = item => item.type === 'directory' || item.targetType === 'directory';
+  const sortedItems = [...node.children].sort((a, b) => {
+    // Directories first, then files
+    if (isDirectoryLike(a) && !isDirectoryLike(b)) return -1;
+    if (!isDirectoryLike(a) && isDirectoryLike(b)) return 1;
+    return a.name.localeCompare(b.name);
+  });
 
-    for (let i = 0; i < sortedItems.length; i++) {
-      const item = sortedItems[i];
-      const itemPath = path.join(dirPath, item);
-      const stats = fs.statSync(itemPath);
-      const isLast = i === sortedItems.length - 1;
-      const currentPrefix = isLast ? '└── ' : '├── ';
-      const nextPrefix = prefix + (isLast ? '    ' : '│   ');
-
-      if (stats.isDirectory()) {
-        console.log(`${prefix}${currentPrefix}${item}/`);
-        displayTree(itemPath, currentDepth + 1, maxDepth, nextPrefix);
-      } else {
-        const size = formatBytes(stats.size);
-        console.log(`${prefix}${currentPrefix}${item} (${size})`);
-      }
+  sortedItems.forEach((item, i) => {
+    const isLast = i === sortedItems.length - 1;
+    const currentPrefix = isLast ? '└── ' : '├── ';
+    const nextPrefix = prefix + (isLast ? '    ' : '│   ');
+
+    if (item.type === 'directory') {
+      console.log(`${prefix}${currentPrefix}${item.name}/`);
+      displayTree(item, nextPrefix);
+    } else if (item.type === 'symlink') {
+      const name = item.targetType === 'directory' ? `${item.name}/` : item.name;
+      console.log(`${prefix}${currentPrefix}${name} ${formatLinkTarget(item)}`);
+      displayTree(item, nextPrefix);
+    } else {
+      console.log(`${prefix}${currentPrefix}${item.name} (${formatBytes(item.size)})`);
     }
-  } catch (error) {
-    console.warn(`${prefix}└── [Error reading directory: ${error.message}]`);
-  }
+  });
 };
 
-const displayStats = (files, dirPath) => {
+const displayStats = (entries, dirPath) => {
+  // Symlinks are counted on their own; the totals and distributions cover regular files
+  const files = entries.filter(f => f.type === 'file');
+  const symlinks = entries.filter(f => f.type === 'symlink');
   const totalFiles = files.length;
   const totalSize = files.reduce((sum, file) => sum + file.size, 0);
   
@@ -310,6 +400,11 @@ const displayStats = (files, dirPath) => {
   console.log('='.repeat(32));
   console.log(`Directory: ${dirPath}`);
   console.log(`Total Files: ${totalFiles}`);
+  if (symlinks.length > 0) {
+    const broken = symlinks.filter(f => f.broken).length;
+    const cycles = symlinks.filter(f => f.cycle).length;
+    console.log(`Symbolic Links: ${symlinks.length} (${broken} broken, ${cycles} cycles)`);
+  }
   console.log(`Total Size: ${formatBytes(totalSize)}`);
   console.log(`Average File Size: ${totalFiles > 0 ? formatBytes(totalSize / totalFiles) : '0 B'}`);
   
@@ -330,11 +425,14 @@ const displayStats = (files, dirPath) => {
 };
 
 const outputJson = (files, dirPath) => {
+  const regularFiles = files.filter(file => file.type === 'file');
   const result = {
     directory: dirPath,
     scannedAt: new Date().toISOString(),
-    totalFiles: files.length,
-    totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    // As in --stats, symlinks are not part of the file totals
+    totalFiles: regularFiles.length,
+    totalSymlinks: files.length - regularFiles.length,
+    totalSize: regularFiles.reduce((sum, file) => sum + file.size, 0),
     files: files.map(file => ({
       ...file,
       modified: file.modified.toISOString(),
@@ -345,13 +443,18 @@ const outputJson = (files, dirPath) => {
 };
 
 const outputCsv = (files) => {
-  const headers = ['name', 'relativePath', 'size', 'extension', 'modified', 'created'];
+  const headers = ['name', 'relativePath', 'type', 'target', 'targetType', 'broken', 'cycle', 'size', 'extension', 'modified', 'created'];
   console.log(headers.join(','));
   
   files.forEach(file => {
     const row = [
       `"${file.name}"`,
       `"${file.relativePath}"`,
+      `"${file.type}"`,
+      `"${file.target || ''}"`,
+      `"${file.targetType || ''}"`,
+      file.broken,
+      file.cycle,
       file.size,
       `"${file.extension}"`,
       `"${file.modified.toISOString()}"`,
@@ -361,7 +464,133 @@ const outputCsv = (files) => {
   });
 };
 
-const main = () => {
+const displayDuplicates = (report) => {
+  if (report.sets.length === 0) {
+    console.log('No duplicate files found.');
+    return;
+  }
+
+  report.sets.forEach((set, index) => {
+    console.log(`\nSet ${index + 1}: ${set.count} copies of ${formatBytes(set.size)} (${formatBytes(set.wastedBytes)} wasted)`);
+    console.log(`SHA-256: ${set.hash}`);
+    set.files.forEach(file => {
+      const marker = file === set.oldest ? '★' : ' ';
+      console.log(`  ${marker} ${file.relativePath} (${file.modified.toISOString()})`);
+    });
+  });
+
+  console.log(`\n${report.sets.length} duplicate sets, ${report.duplicateFiles} files, ${formatBytes(report.wastedBytes)} wasted (★ = oldest copy)`);
+};
+
+const outputDuplicatesJson = (report, dirPath) => {
+  const result = {
+    directory: dirPath,
+    scannedAt: new Date().toISOString(),
+    duplicateSets: report.sets.length,
+    duplicateFiles: report.duplicateFiles,
+    wastedBytes: report.wastedBytes,
+    sets: report.sets.map(set => ({
+      hash: set.hash,
+      size: set.size,
+      count: set.count,
+      wastedBytes: set.wastedBytes,
+      oldest: set.oldest.relativePath,
+      files: set.files.map(file => ({
+        path: file.path,
+        relativePath: file.relativePath,
+        modified: file.modified.toISOString(),
+        oldest: file === set.oldest
+      }))
+    }))
+  };
+  console.log(JSON.stringify(result, null, 2));
+};
+
+const outputDuplicatesCsv = (report) => {
+  const headers = ['set', 'hash', 'size', 'relativePath', 'modified', 'oldest'];
+  console.log(headers.join(','));
+
+  report.sets.forEach((set, index) => {
+    set.files.forEach(file => {
+      const row = [
+        index + 1,
+        `"${set.hash}"`,
+        set.size,
+        `"${file.relativePath}"`,
+        `"${file.modified.toISOString()}"`,
+        file === set.oldest
+      ];
+      console.log(row.join(','));
+    });
+  });
+};
+
+const displayChanges = (changes, previous) => {
+  console.log(`Snapshot: ${previous.scannedAt || 'unknown date'}${previous.hashAlgorithm ? ' (with SHA-256)' : ''}`);
+
+  changes.added.forEach(entry => {
+    console.log(`+ ${entry.relativePath} (${formatBytes(entry.size)})`);
+  });
+  changes.removed.forEach(entry => {
+    console.log(`- ${entry.relativePath} (${formatBytes(entry.size)})`);
+  });
+  changes.modified.forEach(({ relativePath, before, after, changes: fields }) => {
+    const details = fields.map(field => (field === 'size'
+      ? `size ${formatBytes(before.size)} -> ${formatBytes(after.size)}`
+      : `${field} changed`));
+    console.log(`~ ${relativePath} (${details.join(', ')})`);
+  });
+  changes.moved.forEach(({ from, to }) => {
+    console.log(`> ${from.relativePath} -> ${to.relativePath}`);
+  });
+
+  const summary = [
+    `${changes.added.length} added`,
+    `${changes.removed.length} removed`,
+    `${changes.modified.length} modified`,
+    `${changes.moved.length} moved`,
+    `${changes.unchanged} unchanged`
+  ];
+  console.log(`\n${summary.join(', ')}`);
+};
+
+const outputChangesJson = (changes, previous, dirPath) => {
+  const result = {
+    directory: dirPath,
+    snapshotTakenAt: previous.scannedAt || null,
+    comparedAt: new Date().toISOString(),
+    summary: {
+      added: changes.added.length,
+      removed: changes.removed.length,
+      modified: changes.modified.length,
+      moved: changes.moved.length,
+      unchanged: changes.unchanged
+    },
+    added: changes.added,
+    removed: changes.removed,
+    modified: changes.modified,
+    moved: changes.moved
+  };
+  console.log(JSON.stringify(result, null, 2));
+};
+
+const outputChangesCsv = (changes) => {
+  const headers = ['change', 'relativePath', 'previousPath', 'sizeBefore', 'sizeAfter', 'details'];
+  console.log(headers.join(','));
+
+  const rows = [
+    ...changes.added.map(entry => ['added', entry.relativePath, '', '', entry.size, '']),
+    ...changes.removed.map(entry => ['removed', entry.relativePath, '', entry.size, '', '']),
+    ...changes.modified.map(({ relativePath, before, after, changes: fields }) =>
+      ['modified', relativePath, '', before.size, after.size, fields.join(';')]),
+    ...changes.moved.map(({ from, to }) => ['moved', to.relativePath, from.relativePath, from.size, to.size, ''])
+  ];
+  rows.forEach(([change, relativePath, previousPath, sizeBefore, sizeAfter, details]) => {
+    console.log([`"${change}"`, `"${relativePath}"`, `"${previousPath}"`, sizeBefore, sizeAfter, `"${details}"`].join(','));
+  });
+};
+
+const main = async () => {
   if (isHelpRequested()) {
     console.log('📁 Directory Scanner CLI - Day 4');
     console.log(HELP_TEXT);
@@ -389,8 +618,19 @@ const main = () => {
     process.exit(1);
   }
 
-  // Set base directory for relative path calculations
-  options.baseDir = absolutePath;
+  // Read the snapshot and check where the new one goes before scanning, so a bad path fails fast
+  const comparePath = options.comparePath ? path.resolve(process.cwd(), options.comparePath) : null;
+  const snapshotPath = options.snapshotPath ? path.resolve(process.cwd(), options.snapshotPath) : null;
+  const previous = comparePath ? loadSnapshot(comparePath) : null;
+  if (snapshotPath) assertWritable(snapshotPath);
+
+  // One set of rules for every view, so the tree, stats and exports agree.
+  // Snapshot files saved inside the scanned directory are not part of the scan.
+  options.ignoreRules = new IgnoreRules(absolutePath, {
+    excludes: options.excludes,
+    gitignore: options.useGitignore,
+    paths: [snapshotPath, comparePath].filter(Boolean)
+  });
 
   console.log('📁 Directory Scanner CLI - Day 4');
   console.log('='.repeat(32));
@@ -398,13 +638,46 @@ const main = () => {
   if (options.depth !== Infinity) {
     console.log(`Max Depth: ${options.depth}`);
   }
+  if (options.excludes.length > 0) {
+    console.log(`Excluding: ${options.excludes.join(', ')}`);
+  }
+  if (options.useGitignore) {
+    console.log('Honoring .gitignore files');
+  }
+  if (options.followSymlinks) {
+    console.log('Following symbolic links');
+  }
 
-  const files = scanDirectory(absolutePath, 0, options);
+  // The file system is read once; every view below is rendered from this tree
+  const progress = options.showProgress ? createProgress() : null;
+  const tree = await scanTree(absolutePath, {
+    depth: options.depth,
+    ignoreRules: options.ignoreRules,
+    followSymlinks: options.followSymlinks,
+    onEntry: progress ? node => progress.update(node.type) : undefined,
+    onWarning: message => console.warn(`Warning: ${message}`)
+  });
+  if (progress) progress.done();
+
+  const files = await filterFiles(tree, options);
+  // Only the files that passed the filters are compared
+  const duplicates = options.findDuplicates
+    ? await findDuplicates(files, { onWarning: message => console.warn(`Warning: ${message}`) })
+    : null;
+
+  // A hashed snapshot can only be compared with a hashed scan
+  const snapshot = options.snapshotPath || previous
+    ? await createSnapshot(files, absolutePath, {
+      hash: options.hashFiles || Boolean(previous && previous.hashAlgorithm),
+      onWarning: message => console.warn(`Warning: ${message}`)
+    })
+    : null;
+  const changes = previous ? compareSnapshots(previous, snapshot) : null;
 
   if (options.showTree) {
     console.log('\n🌳 Directory Tree');
     console.log('-'.repeat(32));
-    displayTree(absolutePath, 0, options.depth);
+    displayTree(tree);
   }
 
   if (options.showStats) {
@@ -416,11 +689,31 @@ const main = () => {
   if (options.outputJson) {
     console.log('\n📄 JSON Output');
     console.log('-'.repeat(32));
-    outputJson(files, absolutePath);
+    if (changes) {
+      outputChangesJson(changes, previous, absolutePath);
+    } else if (duplicates) {
+      outputDuplicatesJson(duplicates, absolutePath);
+    } else {
+      outputJson(files, absolutePath);
+    }
   } else if (options.outputCsv) {
     console.log('\n📊 CSV Output');
     console.log('-'.repeat(32));
-    outputCsv(files);
+    if (changes) {
+      outputChangesCsv(changes);
+    } else if (duplicates) {
+      outputDuplicatesCsv(duplicates);
+    } else {
+      outputCsv(files);
+    }
+  } else if (changes) {
+    console.log('\n🔎 Changes Since Snapshot');
+    console.log('-'.repeat(32));
+    displayChanges(changes, previous);
+  } else if (duplicates) {
+    console.log('\n🧬 Duplicate Files');
+    console.log('-'.repeat(32));
+    displayDuplicates(duplicates);
   } else if (!options.showTree && !options.showStats) {
     // Default: show file list
     console.log('\n📋 Found Files');
@@ -430,13 +723,25 @@ const main = () => {
     } else {
       files.forEach((file, index) => {
         const lineNumber = String(index + 1).padStart(3, '0');
-        console.log(`${lineNumber}: ${file.relativePath} (${file.sizeHuman})`);
+        const link = file.type === 'symlink' ? ` ${formatLinkTarget(file)}` : '';
+        console.log(`${lineNumber}: ${file.relativePath}${link} (${file.sizeHuman})`);
       });
     }
   }
 
-  console.log(`\n✨ Found ${files.length} files`);
+  if (snapshotPath) {
+    saveSnapshot(snapshot, snapshotPath);
+    console.log(`\n💾 Snapshot saved to ${snapshotPath}${snapshot.hashAlgorithm ? ' (with SHA-256)' : ''}`);
+  }
+
+  // Symlinks are listed but, as in --stats, not counted as files
+  const symlinkCount = files.filter(file => file.type === 'symlink').length;
+  const linkNote = symlinkCount > 0 ? ` (${symlinkCount} ${symlinkCount === 1 ? 'symlink' : 'symlinks'})` : '';
+  console.log(`\n✨ Found ${files.length - symlinkCount} files${linkNote}`);
   process.exit(0);
 };
 
-main();
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
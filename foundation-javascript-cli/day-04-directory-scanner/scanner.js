@@ -0,0 +1,242 @@
+/**
+ * Asynchronous directory traversal for the directory scanner
+ *
+ * The file system is walked once, with at most `concurrency` readdir/stat calls
+ * in flight, into an in-memory tree that every view (file list, tree, stats,
+ * JSON, CSV) is rendered from:
+ * - directory: { type, name, path, relativePath, children, error }
+ *   (children is null below --depth, error is set if it could not be read)
+ * - file:      { type, name, path, relativePath, size, extension, modified, created }
+ * - symlink:   a file node plus { target, targetType, broken, cycle }; a followed
+ *   link to a directory also gets children and error, like a directory
+ * Subdirectories are read in parallel, but children keep their readdir order.
+ *
+ * Symlinks are listed but not followed by default. With followSymlinks, every
+ * directory on the current path is remembered by device and inode, and a link
+ * back to one of them is reported as a cycle instead of being entered again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONCURRENCY = 64;
+
+// How often the --progress line is redrawn on a terminal, and written when piped
+const PROGRESS_INTERVAL_TTY = 100;
+const PROGRESS_INTERVAL_PIPE = 1000;
+
+/**
+ * Run async tasks with at most `concurrency` of them pending at once.
+ */
+const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active += 1;
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+/**
+ * A single status line on stderr. On a terminal it is redrawn in place;
+ * otherwise a line is written every second so logs stay readable.
+ */
+const createProgress = (stream = process.stderr) => {
+  const interactive = Boolean(stream.isTTY);
+  const interval = interactive ? PROGRESS_INTERVAL_TTY : PROGRESS_INTERVAL_PIPE;
+  const counts = { directories: 0, files: 0 };
+  let lastWrite = 0;
+
+  const render = () => `🔍 Scanned ${counts.directories.toLocaleString()} directories, ${counts.files.toLocaleString()} files`;
+
+  const write = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastWrite < interval) return;
+    lastWrite = now;
+    stream.write(interactive ? `\r${render()}\u001b[K` : `${render()}\n`);
+  };
+
+  return {
+    counts,
+    update(type) {
+      counts[type === 'directory' ? 'directories' : 'files'] += 1;
+      write();
+    },
+    done() {
+      write(true);
+      if (interactive) stream.write('\n');
+    }
+  };
+};
+
+const identify = (stats) => `${stats.dev}:${stats.ino}`;
+
+const describeTargetType = (stats) => {
+  if (!stats) return null;
+  if (stats.isDirectory()) return 'directory';
+  return stats.isFile() ? 'file' : 'other';
+};
+
+/**
+ * Walk `rootDir` and return its tree.
+ * options: depth, ignoreRules, followSymlinks, concurrency, onEntry(node), onWarning(message)
+ */
+const scanTree = async (rootDir, options = {}) => {
+  const {
+    depth = Infinity,
+    ignoreRules = null,
+    followSymlinks = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    onEntry = () => {},
+    onWarning = () => {}
+  } = options;
+  const limit = createLimiter(concurrency);
+
+  const createNode = (type, itemPath, name) => ({
+    type,
+    name,
+    path: itemPath,
+    relativePath: path.relative(rootDir, itemPath)
+  });
+
+  // `ancestors` holds the dev:ino of every directory above (only tracked when following links)
+  const readSymlink = async (itemPath, name, currentDepth, ancestors) => {
+    let target;
+    let linkStats;
+    try {
+      [target, linkStats] = await Promise.all([
+        limit(() => fs.promises.readlink(itemPath)),
+        limit(() => fs.promises.lstat(itemPath))
+      ]);
+    } catch (error) {
+      onWarning(`Cannot read symlink ${itemPath}: ${error.message}`);
+      return null;
+    }
+
+    let targetStats = null;
+    try {
+      targetStats = await limit(() => fs.promises.stat(itemPath));
+    } catch (error) {
+      // ENOENT for a missing target, ELOOP for links that point at each other
+      onWarning(`Broken symlink ${itemPath} -> ${target} (${error.code})`);
+    }
+
+    const targetType = describeTargetType(targetStats);
+    if (ignoreRules && ignoreRules.isIgnored(itemPath, followSymlinks && targetType === 'directory')) return null;
+
+    const followed = followSymlinks && targetStats !== null;
+    const stats = followed ? targetStats : linkStats;
+    const node = {
+      ...createNode('symlink', itemPath, name),
+      target,
+      targetType,
+      broken: targetStats === null,
+      cycle: false,
+      // A followed link reports what it points to; otherwise the link itself
+      size: followed && targetType !== 'file' ? 0 : stats.size,
+      extension: path.extname(name).toLowerCase(),
+      modified: stats.mtime,
+      created: stats.birthtime
+    };
+    onEntry(node);
+
+    if (followed && targetType === 'directory') {
+      const identity = identify(targetStats);
+      if (ancestors.includes(identity)) {
+        node.cycle = true;
+        onWarning(`Symlink cycle ${itemPath} -> ${target} (not followed)`);
+      } else {
+        await readDirectory(node, currentDepth + 1, [...ancestors, identity]);
+      }
+    }
+    return node;
+  };
+
+  const readDirectory = async (node, currentDepth, ancestors) => {
+    node.children = null;
+    node.error = null;
+    if (currentDepth > depth) return;
+
+    let entries;
+    try {
+      entries = await limit(() => fs.promises.readdir(node.path, { withFileTypes: true }));
+    } catch (error) {
+      node.error = error.message;
+      onWarning(`Cannot read directory ${node.path}: ${error.message}`);
+      return;
+    }
+
+    const children = await Promise.all(entries.map(async (entry) => {
+      const itemPath = path.join(node.path, entry.name);
+      if (entry.isSymbolicLink()) return readSymlink(itemPath, entry.name, currentDepth, ancestors);
+
+      // Directories are known from readdir; everything else needs a stat for its size.
+      // Cycle detection needs the inode of directories too, but only when following links.
+      let stats = null;
+      if (!entry.isDirectory() || followSymlinks) {
+        try {
+          stats = await limit(() => fs.promises.stat(itemPath));
+        } catch (error) {
+          onWarning(`Cannot stat ${itemPath}: ${error.message}`);
+          return null;
+        }
+      }
+
+      const isDirectory = stats ? stats.isDirectory() : true;
+      // Ignored directories are not entered at all
+      if (ignoreRules && ignoreRules.isIgnored(itemPath, isDirectory)) return null;
+
+      if (isDirectory) {
+        const child = createNode('directory', itemPath, entry.name);
+        onEntry(child);
+        await readDirectory(child, currentDepth + 1, followSymlinks ? [...ancestors, identify(stats)] : ancestors);
+        return child;
+      }
+      if (!stats.isFile()) return null;
+
+      const child = {
+        ...createNode('file', itemPath, entry.name),
+        size: stats.size,
+        extension: path.extname(entry.name).toLowerCase(),
+        modified: stats.mtime,
+        created: stats.birthtime
+      };
+      onEntry(child);
+      return child;
+    }));
+
+    node.children = children.filter(Boolean);
+  };
+
+  const root = createNode('directory', rootDir, path.basename(rootDir));
+  const rootAncestors = followSymlinks ? [identify(await fs.promises.stat(rootDir))] : [];
+  await readDirectory(root, 0, rootAncestors);
+  return root;
+};
+
+/**
+ * All file and symlink nodes of a tree, depth-first in directory order.
+ * The contents of followed directory links are included after the link itself.
+ */
+const flattenFiles = (node, files = []) => {
+  (node.children || []).forEach((child) => {
+    if (child.type !== 'directory') files.push(child);
+    if (child.children) flattenFiles(child, files);
+  });
+  return files;
+};
+
+module.exports = { DEFAULT_CONCURRENCY, createLimiter, createProgress, scanTree, flattenFiles };
@@ -0,0 +1,186 @@
+/**
+ * Scan snapshots and change detection for the directory scanner (--snapshot, --compare)
+ *
+ * A snapshot is a JSON file in the spirit of the --json output: the scanned
+ * directory, when it was taken and one entry per file with its relative path,
+ * size and modification time, plus a SHA-256 when taken with --hash.
+ * Comparing a snapshot with a fresh scan of the same directory reports:
+ * - added / removed: paths that only exist on one side
+ * - modified: same path, but a different size, hash, symlink target or (without hashes) mtime
+ * - moved: a removed and an added path with the same content (hash, or size and mtime)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONCURRENCY, createLimiter } = require('./scanner');
+const { hashFile } = require('./duplicates');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Build a snapshot from the filtered scan results.
+ * With `hash`, every regular file is read and hashed (symlinks keep their target instead).
+ */
+const createSnapshot = async (files, dirPath, options = {}) => {
+  const { hash = false, concurrency = DEFAULT_CONCURRENCY, onWarning = () => {} } = options;
+  const limit = createLimiter(concurrency);
+
+  const hashes = await Promise.all(files.map((file) => (hash && file.type === 'file'
+    ? limit(() => hashFile(file.path).catch((error) => {
+      onWarning(`Cannot hash ${file.path}: ${error.message}`);
+      return null;
+    }))
+    : null)));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    directory: dirPath,
+    scannedAt: new Date().toISOString(),
+    hashAlgorithm: hash ? 'sha256' : null,
+    totalFiles: files.length,
+    totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    files: files.map((file, index) => ({
+      relativePath: file.relativePath,
+      type: file.type,
+      size: file.size,
+      modified: file.modified.toISOString(),
+      ...(hashes[index] ? { hash: hashes[index] } : {}),
+      ...(file.type === 'symlink' ? { target: file.target } : {})
+    }))
+  };
+};
+
+/**
+ * Fail before a long scan if the snapshot could not be saved afterwards:
+ * the file must be writable, or its directory must exist and be writable.
+ */
+const assertWritable = (filePath) => {
+  let stats = null;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    // Not there yet: the directory decides
+  }
+  if (stats && stats.isDirectory()) {
+    throw new Error(`Cannot write snapshot ${filePath}: it is a directory`);
+  }
+  try {
+    fs.accessSync(stats ? filePath : path.dirname(filePath), fs.constants.W_OK);
+  } catch (error) {
+    throw new Error(`Cannot write snapshot ${filePath}: ${error.code === 'ENOENT' ? 'its directory does not exist' : error.message}`);
+  }
+};
+
+const saveSnapshot = (snapshot, filePath) => {
+  fs.writeFileSync(filePath, `${JSON.stringify(snapshot, null, 2)}\n`);
+};
+
+/**
+ * Read a snapshot file, checking that it has the fields a comparison needs.
+ */
+const loadSnapshot = (filePath) => {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT'
+      ? `Snapshot not found -> ${filePath}`
+      : `Cannot read snapshot ${filePath}: ${error.message}`);
+  }
+
+  const isValid = snapshot && Array.isArray(snapshot.files) &&
+    snapshot.files.every((file) => file && typeof file.relativePath === 'string' && typeof file.size === 'number');
+  if (!isValid) {
+    throw new Error(`${filePath} is not a snapshot (expected a "files" array with relativePath and size)`);
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`${filePath} was written by a newer version of the scanner (snapshot version ${snapshot.version})`);
+  }
+  return snapshot;
+};
+
+/**
+ * What changed between two entries at the same path, or an empty list.
+ * Hashes win over mtimes: a file that was only touched is not modified.
+ */
+const describeChanges = (before, after) => {
+  const changes = [];
+  if (before.type !== after.type) changes.push('type');
+  if (before.target !== after.target) changes.push('target');
+  if (before.size !== after.size) changes.push('size');
+
+  if (before.hash && after.hash) {
+    if (before.hash !== after.hash) changes.push('content');
+  } else if (before.modified !== after.modified) {
+    changes.push('mtime');
+  }
+  return changes;
+};
+
+/**
+ * Two entries hold the same content if their hashes match; without hashes,
+ * the size and modification time must both match (moves keep the mtime).
+ */
+const contentKey = (entry) => (entry.hash
+  ? `${entry.size}:${entry.hash}`
+  : `${entry.size}:${entry.modified}`);
+
+/**
+ * Compare a loaded snapshot with a snapshot of the current scan.
+ * Returns { added, removed, modified, moved, unchanged } with entries sorted by path.
+ */
+const compareSnapshots = (previous, current) => {
+  const byPath = (snapshot) => new Map(snapshot.files.map((file) => [file.relativePath, file]));
+  const before = byPath(previous);
+  const after = byPath(current);
+  // Hashes are only comparable if both sides have them
+  const useHashes = Boolean(previous.hashAlgorithm && current.hashAlgorithm);
+  const strip = (entry) => (useHashes ? entry : { ...entry, hash: undefined });
+
+  const modified = [];
+  let unchanged = 0;
+  after.forEach((entry, relativePath) => {
+    if (!before.has(relativePath)) return;
+    const changes = describeChanges(strip(before.get(relativePath)), strip(entry));
+    if (changes.length > 0) {
+      modified.push({ relativePath, before: before.get(relativePath), after: entry, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  let removed = [...before.values()].filter((entry) => !after.has(entry.relativePath));
+  let added = [...after.values()].filter((entry) => !before.has(entry.relativePath));
+
+  // Pair removed and added files with the same content; symlinks and empty files are too ambiguous
+  const isMovable = (entry) => entry.type !== 'symlink' && entry.size > 0;
+  const candidates = new Map();
+  removed.filter(isMovable).forEach((entry) => {
+    const key = contentKey(strip(entry));
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(entry);
+  });
+
+  const moved = [];
+  added.filter(isMovable).forEach((entry) => {
+    const sources = candidates.get(contentKey(strip(entry)));
+    if (!sources || sources.length === 0) return;
+    moved.push({ from: sources.shift(), to: entry });
+  });
+
+  const movedFrom = new Set(moved.map(({ from }) => from));
+  const movedTo = new Set(moved.map(({ to }) => to));
+  removed = removed.filter((entry) => !movedFrom.has(entry));
+  added = added.filter((entry) => !movedTo.has(entry));
+
+  const byRelativePath = (a, b) => a.relativePath.localeCompare(b.relativePath);
+  return {
+    added: added.sort(byRelativePath),
+    removed: removed.sort(byRelativePath),
+    modified: modified.sort(byRelativePath),
+    moved: moved.sort((a, b) => a.to.relativePath.localeCompare(b.to.relativePath)),
+    unchanged
+  };
+};
+
+module.exports = { createSnapshot, assertWritable, saveSnapshot, loadSnapshot, compareSnapshots };
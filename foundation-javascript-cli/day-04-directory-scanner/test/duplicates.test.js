@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { withTempTree, readJson } = require('./helpers');
+
+const TREE = {
+  'a.txt': 'same\n',
+  'b/a-copy.txt': 'same\n',
+  'c.txt': 'same\n',
+  // Same size, different content
+  'd.txt': 'samf\n',
+  'large-1.bin': 'x'.repeat(100),
+  'large-2.bin': 'x'.repeat(100),
+  'empty-1': '',
+  'empty-2': ''
+};
+
+const setAge = (dir, relativePath, daysAgo) => {
+  const time = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  fs.utimesSync(path.join(dir, relativePath), time, time);
+};
+
+test('--duplicates groups identical files, ordered by wasted bytes and oldest first', async () => {
+  await withTempTree(TREE, (dir) => {
+    setAge(dir, 'c.txt', 3);
+    setAge(dir, 'b/a-copy.txt', 2);
+    setAge(dir, 'a.txt', 1);
+
+    const report = readJson(dir, '--duplicates');
+    assert.strictEqual(report.duplicateSets, 2);
+    assert.strictEqual(report.duplicateFiles, 5);
+    assert.strictEqual(report.wastedBytes, 100 + 2 * 5);
+
+    const [large, small] = report.sets;
+    assert.strictEqual(large.size, 100);
+    assert.strictEqual(small.count, 3);
+    assert.strictEqual(small.oldest, 'c.txt');
+    assert.deepStrictEqual(small.files.map((file) => file.relativePath.split('\\').join('/')), ['c.txt', 'b/a-copy.txt', 'a.txt']);
+  });
+});
+
+test('--duplicates skips empty files and symlinks', async () => {
+  await withTempTree({ 'a.txt': 'same\n', 'empty-1': '', 'empty-2': '' }, (dir) => {
+    fs.symlinkSync('a.txt', path.join(dir, 'link'));
+
+    const report = readJson(dir, '--duplicates');
+    assert.strictEqual(report.duplicateSets, 0);
+    assert.deepStrictEqual(report.sets, []);
+  });
+});
@@ -0,0 +1,42 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+/**
+ * Run the CLI with the given arguments and return spawnSync's result (status, stdout, stderr).
+ */
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+/**
+ * Create the files in `tree` ({ 'relative/path': content }) in a fresh temporary
+ * directory, call back with its path, then remove it. `callback` may be async.
+ */
+const withTempTree = async (tree, callback) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'directory-scanner-'));
+  Object.entries(tree).forEach(([relativePath, content]) => {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+  try {
+    await callback(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * The JSON export of a scan: everything after the "📄 JSON Output" heading.
+ */
+const readJson = (...args) => {
+  const result = run(...args, '--json');
+  if (result.status !== 0) throw new Error(`CLI exited with ${result.status}: ${result.stderr}`);
+  const start = result.stdout.indexOf('{', result.stdout.indexOf('📄 JSON Output'));
+  const end = result.stdout.lastIndexOf('}');
+  return JSON.parse(result.stdout.slice(start, end + 1));
+};
+
+module.exports = { run, withTempTree, readJson };
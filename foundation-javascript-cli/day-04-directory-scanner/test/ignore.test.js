@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withTempTree, readJson } = require('./helpers');
+
+const TREE = {
+  '.gitignore': '*.log\n!keep.log\nbuild/\n',
+  'app/.gitignore': 'secret.txt\n',
+  'app/logs/debug.log': 'x\n',
+  'app/logs/keep.log': 'x\n',
+  'app/build/out.js': 'x\n',
+  'app/secret.txt': 's\n',
+  'app/main.js': 'm\n',
+  'secret.txt': 's\n'
+};
+
+const listFiles = (...args) => readJson(...args).files.map((file) => file.relativePath.split('\\').join('/')).sort();
+
+test('--gitignore honors negations and .gitignore files in subdirectories', async () => {
+  await withTempTree(TREE, (dir) => {
+    assert.deepStrictEqual(listFiles(dir, '--gitignore'), [
+      '.gitignore',
+      'app/.gitignore',
+      'app/logs/keep.log',
+      'app/main.js',
+      // app/.gitignore only applies below app/
+      'secret.txt'
+    ]);
+  });
+});
+
+test('without --gitignore every file is listed', async () => {
+  await withTempTree(TREE, (dir) => {
+    assert.strictEqual(listFiles(dir).length, Object.keys(TREE).length);
+  });
+});
+
+test('--exclude skips matching files and whole directories', async () => {
+  await withTempTree(TREE, (dir) => {
+    // As in .gitignore, a pattern without a slash matches at any depth
+    assert.deepStrictEqual(listFiles(dir, '--exclude', '**/*.txt', '--exclude', 'app/logs', '--exclude', '.gitignore'), [
+      'app/build/out.js',
+      'app/main.js'
+    ]);
+  });
+});
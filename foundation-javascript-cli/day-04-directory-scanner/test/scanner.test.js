@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLimiter, scanTree, flattenFiles } = require('../scanner');
+const { run, withTempTree } = require('./helpers');
+
+const TREE = {
+  'a.txt': 'a\n',
+  'src/index.js': 'index\n',
+  'src/lib/util.js': 'util\n',
+  'src/lib/deep/more.js': 'more\n'
+};
+
+const toPosix = (relativePath) => relativePath.split('\\').join('/');
+
+test('createLimiter never runs more than `concurrency` tasks at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const task = (value) => limit(async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active -= 1;
+    return value;
+  });
+
+  const results = await Promise.all([1, 2, 3, 4, 5, 6].map(task));
+  assert.deepStrictEqual(results, [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(peak, 2);
+});
+
+test('createLimiter passes rejections through and keeps going', async () => {
+  const limit = createLimiter(1);
+  const failed = limit(() => Promise.reject(new Error('boom')));
+  const next = limit(() => Promise.resolve('ok'));
+  await assert.rejects(failed, /boom/);
+  assert.strictEqual(await next, 'ok');
+});
+
+test('scanTree reads the whole tree once and reports every entry', async () => {
+  await withTempTree(TREE, async (dir) => {
+    const seen = [];
+    const tree = await scanTree(dir, { concurrency: 1, onEntry: (node) => seen.push(node.type) });
+
+    const files = flattenFiles(tree).map((file) => toPosix(file.relativePath)).sort();
+    assert.deepStrictEqual(files, Object.keys(TREE).sort());
+    assert.strictEqual(seen.filter((type) => type === 'file').length, 4);
+    assert.strictEqual(seen.filter((type) => type === 'directory').length, 3);
+  });
+});
+
+test('scanTree stops at the requested depth', async () => {
+  await withTempTree(TREE, async (dir) => {
+    const tree = await scanTree(dir, { depth: 1 });
+    const files = flattenFiles(tree).map((file) => toPosix(file.relativePath)).sort();
+    assert.deepStrictEqual(files, ['a.txt', 'src/index.js']);
+  });
+});
+
+test('--progress writes the final counts to stderr only', async () => {
+  await withTempTree(TREE, (dir) => {
+    const result = run(dir, '--progress');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /🔍 Scanned 3 directories, 4 files\n$/);
+    assert.doesNotMatch(result.stdout, /🔍 Scanned/);
+  });
+});
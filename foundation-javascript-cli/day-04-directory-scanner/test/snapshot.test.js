@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { run, withTempTree, readJson } = require('./helpers');
+
+const TREE = {
+  'index.html': '<h1>hi</h1>\n',
+  'app.js': 'console.log(1);\n',
+  'vendor/lib.js': 'library code\n',
+  'notes.txt': 'keep\n'
+};
+
+test('--compare reports added, removed, modified and moved files', async () => {
+  await withTempTree(TREE, (dir) => {
+    const snapshotPath = path.join(dir, '..', `${path.basename(dir)}.snapshot.json`);
+    try {
+      const saved = run(dir, '--snapshot', snapshotPath, '--hash');
+      assert.strictEqual(saved.status, 0, saved.stderr);
+
+      fs.mkdirSync(path.join(dir, 'lib'));
+      fs.renameSync(path.join(dir, 'vendor', 'lib.js'), path.join(dir, 'lib', 'vendor.js'));
+      fs.writeFileSync(path.join(dir, 'app.js'), 'console.log(2);\n');
+      fs.rmSync(path.join(dir, 'index.html'));
+      fs.writeFileSync(path.join(dir, 'new.txt'), 'new\n');
+
+      const report = readJson(dir, '--compare', snapshotPath);
+      const toPosix = (relativePath) => relativePath.split('\\').join('/');
+      assert.deepStrictEqual(report.summary, { added: 1, removed: 1, modified: 1, moved: 1, unchanged: 1 });
+      assert.strictEqual(report.added[0].relativePath, 'new.txt');
+      assert.strictEqual(report.removed[0].relativePath, 'index.html');
+      assert.deepStrictEqual(report.modified[0].changes, ['content']);
+      assert.strictEqual(toPosix(report.moved[0].from.relativePath), 'vendor/lib.js');
+      assert.strictEqual(toPosix(report.moved[0].to.relativePath), 'lib/vendor.js');
+    } finally {
+      fs.rmSync(snapshotPath, { force: true });
+    }
+  });
+});
+
+test('a snapshot saved inside the scanned directory is not part of the scan', async () => {
+  await withTempTree(TREE, (dir) => {
+    const snapshotPath = path.join(dir, 'snapshot.json');
+    assert.strictEqual(run(dir, '--snapshot', snapshotPath).status, 0);
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    assert.ok(!snapshot.files.some((file) => file.relativePath === 'snapshot.json'));
+
+    const report = readJson(dir, '--compare', snapshotPath, '--snapshot', snapshotPath);
+    assert.deepStrictEqual(report.summary, { added: 0, removed: 0, modified: 0, moved: 0, unchanged: 4 });
+  });
+});
+
+test('an unwritable --snapshot target fails before the scan', async () => {
+  await withTempTree(TREE, (dir) => {
+    const missingDir = run(dir, '--snapshot', path.join(dir, 'missing', 'snapshot.json'));
+    assert.strictEqual(missingDir.status, 1);
+    assert.match(missingDir.stderr, /Cannot write snapshot .*: its directory does not exist/);
+    assert.doesNotMatch(missingDir.stdout, /Scanning:/);
+
+    const directory = run(dir, '--snapshot', path.join(dir, 'vendor'));
+    assert.strictEqual(directory.status, 1);
+    assert.match(directory.stderr, /Cannot write snapshot .*vendor: it is a directory/);
+  });
+});
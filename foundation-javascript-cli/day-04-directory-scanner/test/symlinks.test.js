@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { run, withTempTree, readJson } = require('./helpers');
+
+const TREE = { 'a.txt': 'a\n', 'docs/readme.md': '# docs\n' };
+
+const addLinks = (dir) => {
+  fs.symlinkSync('a.txt', path.join(dir, 'link'));
+  fs.symlinkSync('missing.txt', path.join(dir, 'dangling'));
+  // docs/loop -> docs: following it would recurse forever
+  fs.symlinkSync('.', path.join(dir, 'docs', 'loop'));
+};
+
+test('symlinks are listed with their targets and kept out of the file count', async () => {
+  await withTempTree(TREE, (dir) => {
+    addLinks(dir);
+
+    const result = run(dir);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /link -> a\.txt/);
+    assert.match(result.stdout, /dangling -> missing\.txt/);
+    assert.match(result.stdout, /✨ Found 2 files \(3 symlinks\)/);
+
+    const report = readJson(dir);
+    assert.strictEqual(report.totalFiles, 2);
+    assert.strictEqual(report.totalSymlinks, 3);
+    const dangling = report.files.find((file) => file.relativePath === 'dangling');
+    assert.strictEqual(dangling.broken, true);
+  });
+});
+
+test('--follow-symlinks detects a cycle instead of recursing into it', async () => {
+  await withTempTree(TREE, (dir) => {
+    addLinks(dir);
+
+    const result = run(dir, '--follow-symlinks');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Symlink cycle .*loop -> \. \(not followed\)/);
+
+    const report = readJson(dir, '--follow-symlinks');
+    const loop = report.files.find((file) => file.relativePath === path.join('docs', 'loop'));
+    assert.strictEqual(loop.cycle, true);
+    assert.strictEqual(loop.targetType, 'directory');
+    assert.ok(!report.files.some((file) => file.relativePath.startsWith(`${path.join('docs', 'loop')}${path.sep}`)));
+  });
+});